@@ -0,0 +1,449 @@
+const DATASET_STORAGE_KEY = 'nnvisual-datasets';
+
+class DatasetEditor {
+    /**
+     * @param {string} containerId - The id of the element the editor renders into.
+     * @param {Object} datasets - The shared datasets object, keyed by dataset name.
+     * @param {Object} options - Editor options.
+     * @param {Array<string>} options.activationFunctionNames - Names offered for new datasets.
+     * @param {Function} options.onApply - Called with the dataset name after it is created or saved.
+     * @param {Function} options.onDownload - Called with the JSON text of all datasets.
+     * @param {Function} options.onDelete - Called with the dataset name after its saved copy is deleted.
+     * @param {Function} options.onMessage - Called with (message, type) to report problems.
+     */
+    constructor(containerId, datasets, options = {}) {
+        this.container = document.getElementById(containerId);
+        this.datasets = datasets;
+        this.activationFunctionNames = options.activationFunctionNames || ['tanh', 'sigmoid'];
+        this.onApply = options.onApply || (() => {});
+        this.onDownload = options.onDownload || (() => {});
+        this.onDelete = options.onDelete || (() => {});
+        this.onMessage = options.onMessage || ((message) => console.log(message));
+
+        this.datasetName = null;
+        this.draft = [];
+        this.disabled = false;
+
+        this.build();
+    }
+
+    /**
+     * Merges datasets saved in localStorage into the given datasets object, skipping any that no longer validate.
+     * @param {Object} datasets - The datasets object to update.
+     * @returns {Array<string>} The names of the restored datasets.
+     */
+    static loadPersisted(datasets) {
+        let stored = {};
+        try {
+            stored = JSON.parse(localStorage.getItem(DATASET_STORAGE_KEY)) || {};
+        } catch (e) {
+            console.warn("DatasetEditor: Ignoring unreadable saved datasets.", e);
+        }
+        const restored = [];
+        for (const name in stored) {
+            const problem = DatasetEditor.validate(stored[name]);
+            if (problem) {
+                console.warn(`DatasetEditor: Ignoring saved dataset "${name}": ${problem}`);
+                continue;
+            }
+            datasets[name] = stored[name];
+            restored.push(name);
+        }
+        return restored;
+    }
+
+    /**
+     * Fills in the network options a dataset may leave out, as NeuralNetwork would default them: no options,
+     * and tanh hidden layers with an identity output (sigmoid for classification).
+     * Anything malformed is left as it is for validate() to report.
+     * @param {Object} dataset - The dataset to complete.
+     * @returns {Object} The dataset with its defaults, as a new object if anything was added.
+     */
+    static withDefaults(dataset) {
+        const network = dataset && dataset.network;
+        if (!network || !Array.isArray(network.hiddenLayers)) return dataset;
+        if (network.options !== undefined && (!network.options || typeof network.options !== 'object' || Array.isArray(network.options))) {
+            return dataset;
+        }
+        const options = { ...network.options };
+        if (options.activationFunctions === undefined) {
+            const outputActivation = options.taskType === 'classification' ? 'sigmoid' : 'identity';
+            options.activationFunctions = [...network.hiddenLayers.map(() => 'tanh'), outputActivation];
+        }
+        return { ...dataset, network: { ...network, options } };
+    }
+
+    /**
+     * Validates a dataset against the trainingData.json schema.
+     * @param {Object} dataset - The dataset to check.
+     * @returns {string|null} A description of the first problem found, or null if valid.
+     */
+    static validate(dataset) {
+        if (!dataset || !dataset.network || !Array.isArray(dataset.data)) {
+            return 'Dataset must have "network" and "data" sections.';
+        }
+        const { inputNodes, outputNodes } = dataset.network;
+        if (!Number.isInteger(inputNodes) || inputNodes <= 0 || !Number.isInteger(outputNodes) || outputNodes <= 0) {
+            return 'inputNodes and outputNodes must be positive integers.';
+        }
+        const { hiddenLayers, options } = dataset.network;
+        if (!Array.isArray(hiddenLayers) || hiddenLayers.length === 0 || !hiddenLayers.every(n => Number.isInteger(n) && n > 0)) {
+            return 'hiddenLayers must be a non-empty array of positive integers.';
+        }
+        if (!options || typeof options !== 'object' || Array.isArray(options)) {
+            return 'The network must have an "options" object.';
+        }
+        const names = options.activationFunctions;
+        if (!Array.isArray(names) || names.length !== hiddenLayers.length + 1) {
+            return `activationFunctions must list ${hiddenLayers.length + 1} activations, one per hidden layer and one for the output layer.`;
+        }
+        const unknown = names.find(name => typeof name !== 'string' || !Object.hasOwn(activations, name));
+        if (unknown !== undefined) {
+            return `Unknown activation function "${unknown}".`;
+        }
+        if (options.loss !== undefined && (typeof options.loss !== 'string' || !Object.hasOwn(losses, options.loss))) {
+            return `Unknown loss function "${options.loss}".`;
+        }
+        if (dataset.stopping !== undefined) {
+            const problem = StoppingCriteria.checkOptions(dataset.stopping);
+            if (problem) {
+                return `Invalid "stopping" section: ${problem}`;
+            }
+        }
+        if (dataset.evolution !== undefined) {
+            const problem = Population.checkOptions(dataset.evolution);
+            if (problem) {
+                return `Invalid "evolution" section: ${problem}`;
+            }
+        }
+        if (dataset.data.length === 0) {
+            return 'Dataset must contain at least one row.';
+        }
+        for (let i = 0; i < dataset.data.length; i++) {
+            const row = dataset.data[i];
+            if (!Array.isArray(row.inputs) || row.inputs.length !== inputNodes) {
+                return `Row ${i + 1} must have ${inputNodes} inputs.`;
+            }
+            if (!Array.isArray(row.targets) || row.targets.length !== outputNodes) {
+                return `Row ${i + 1} must have ${outputNodes} targets.`;
+            }
+            if (![...row.inputs, ...row.targets].every(Number.isFinite)) {
+                return `Row ${i + 1} contains a value that is not a number.`;
+            }
+        }
+        return null;
+    }
+
+    build() {
+        this.container.innerHTML = '';
+
+        this.titleElem = document.createElement('p');
+        this.titleElem.className = 'text-xs md:text-sm text-neural-400 mb-2';
+        this.container.appendChild(this.titleElem);
+
+        const tableWrapper = document.createElement('div');
+        tableWrapper.className = 'max-h-64 overflow-auto mb-3';
+        this.table = document.createElement('table');
+        this.table.className = 'data-table w-full text-xs';
+        tableWrapper.appendChild(this.table);
+        this.container.appendChild(tableWrapper);
+
+        const actions = document.createElement('div');
+        actions.className = 'flex space-x-2';
+        this.addRowBtn = this.createButton('Add Row', 'control-button', () => this.addRow());
+        this.saveBtn = this.createButton('Save', 'success-button', () => this.save());
+        this.downloadBtn = this.createButton('Download JSON', 'control-button', () => this.onDownload(this.toJSON()));
+        this.deleteBtn = this.createButton('Delete', 'danger-button', () => this.deleteDataset());
+        this.deleteBtn.title = 'Delete the copy of this dataset saved in this browser';
+        actions.append(this.addRowBtn, this.saveBtn, this.downloadBtn, this.deleteBtn);
+        this.container.appendChild(actions);
+
+        this.container.appendChild(this.buildNewDatasetForm());
+    }
+
+    buildNewDatasetForm() {
+        const details = document.createElement('details');
+        details.className = 'mt-4';
+        const summary = document.createElement('summary');
+        summary.className = 'text-sm font-semibold text-neural-300 cursor-pointer';
+        summary.textContent = 'New Dataset';
+        details.appendChild(summary);
+
+        const form = document.createElement('div');
+        form.className = 'grid grid-cols-2 gap-2 pt-2 text-xs';
+
+        this.newNameInput = this.createField(form, 'Name', 'text', 'My Dataset');
+        this.newInputsInput = this.createField(form, 'Inputs', 'number', 2);
+        this.newOutputsInput = this.createField(form, 'Outputs', 'number', 1);
+        this.newHiddenInput = this.createField(form, 'Hidden Layers', 'text', '4');
+        this.newHiddenActivation = this.createActivationField(form, 'Hidden Activation', 'tanh');
+        this.newOutputActivation = this.createActivationField(form, 'Output Activation', 'sigmoid');
+
+        this.createBtn = this.createButton('Create Dataset', 'success-button col-span-2', () => this.handleCreate());
+        form.appendChild(this.createBtn);
+        details.appendChild(form);
+        return details;
+    }
+
+    createButton(label, variant, onClick) {
+        const button = document.createElement('button');
+        button.className = `${variant} flex-1 py-1.5 px-2 rounded-lg text-xs md:text-sm font-medium text-white`;
+        button.textContent = label;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    createField(form, labelText, type, value) {
+        const label = document.createElement('label');
+        label.className = 'text-neural-400 font-medium self-center';
+        label.textContent = labelText;
+        const input = document.createElement('input');
+        input.type = type;
+        input.value = value;
+        input.className = 'px-2 py-1 bg-neural-700/50 border border-neural-600/50 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent text-neural-100';
+        form.append(label, input);
+        return input;
+    }
+
+    createActivationField(form, labelText, defaultValue) {
+        const label = document.createElement('label');
+        label.className = 'text-neural-400 font-medium self-center';
+        label.textContent = labelText;
+        const select = document.createElement('select');
+        select.className = 'custom-select px-2 py-1 bg-neural-700/50 border border-neural-600/50 rounded-lg text-neural-100';
+        this.fillActivationSelect(select, defaultValue);
+        form.append(label, select);
+        return select;
+    }
+
+    fillActivationSelect(select, value) {
+        select.innerHTML = '';
+        this.activationFunctionNames.forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name.charAt(0).toUpperCase() + name.slice(1);
+            option.selected = name === value;
+            select.appendChild(option);
+        });
+    }
+
+    /**
+     * Replaces the activation functions offered for new datasets, keeping the current choices.
+     * @param {Array<string>} names - The activation names.
+     */
+    setActivationFunctionNames(names) {
+        this.activationFunctionNames = names;
+        this.fillActivationSelect(this.newHiddenActivation, this.newHiddenActivation.value);
+        this.fillActivationSelect(this.newOutputActivation, this.newOutputActivation.value);
+    }
+
+    /**
+     * Shows the rows of a dataset in the editor. Edits stay in a draft until saved.
+     * @param {string} name - The dataset name.
+     */
+    load(name) {
+        this.datasetName = name;
+        this.draft = JSON.parse(JSON.stringify(this.datasets[name].data));
+        this.titleElem.textContent = `Editing "${name}" (${this.draft.length} rows)`;
+        this.renderTable();
+    }
+
+    renderTable() {
+        const { inputNodes, outputNodes } = this.datasets[this.datasetName].network;
+        this.table.innerHTML = '';
+
+        const head = document.createElement('tr');
+        const headers = [
+            ...Array.from({ length: inputNodes }, (_, i) => `In ${i + 1}`),
+            ...Array.from({ length: outputNodes }, (_, i) => `Out ${i + 1}`),
+            ''
+        ];
+        headers.forEach((text, i) => {
+            const th = document.createElement('th');
+            th.className = `px-1 py-1 font-medium ${i < inputNodes ? 'text-neural-300' : 'text-green-400'}`;
+            th.textContent = text;
+            head.appendChild(th);
+        });
+        this.table.appendChild(head);
+
+        this.draft.forEach((row, rowIndex) => {
+            const tr = document.createElement('tr');
+            row.inputs.forEach((value, i) => tr.appendChild(this.createCell(rowIndex, 'inputs', i, value)));
+            row.targets.forEach((value, i) => tr.appendChild(this.createCell(rowIndex, 'targets', i, value)));
+
+            const actionsTd = document.createElement('td');
+            actionsTd.className = 'px-1 py-1 whitespace-nowrap';
+            const duplicateBtn = document.createElement('button');
+            duplicateBtn.className = 'text-neural-400 hover:text-cyan-400 px-1';
+            duplicateBtn.textContent = '⧉';
+            duplicateBtn.title = 'Duplicate row';
+            duplicateBtn.disabled = this.disabled;
+            duplicateBtn.addEventListener('click', () => this.duplicateRow(rowIndex));
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'text-neural-400 hover:text-red-400 px-1';
+            deleteBtn.textContent = '×';
+            deleteBtn.title = 'Delete row';
+            deleteBtn.disabled = this.disabled;
+            deleteBtn.addEventListener('click', () => this.deleteRow(rowIndex));
+            actionsTd.append(duplicateBtn, deleteBtn);
+            tr.appendChild(actionsTd);
+
+            this.table.appendChild(tr);
+        });
+    }
+
+    createCell(rowIndex, field, index, value) {
+        const td = document.createElement('td');
+        td.className = 'px-1 py-1';
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.step = 'any';
+        input.value = value;
+        input.disabled = this.disabled;
+        input.className = 'w-12 px-1 bg-neural-700/50 border border-neural-600/50 rounded text-neural-100 font-mono';
+        input.addEventListener('change', () => {
+            this.draft[rowIndex][field][index] = parseFloat(input.value);
+        });
+        td.appendChild(input);
+        return td;
+    }
+
+    addRow() {
+        const { inputNodes, outputNodes } = this.datasets[this.datasetName].network;
+        this.draft.push({ inputs: Array(inputNodes).fill(0), targets: Array(outputNodes).fill(0) });
+        this.renderTable();
+    }
+
+    duplicateRow(rowIndex) {
+        this.draft.splice(rowIndex + 1, 0, JSON.parse(JSON.stringify(this.draft[rowIndex])));
+        this.renderTable();
+    }
+
+    deleteRow(rowIndex) {
+        if (this.draft.length === 1) {
+            this.onMessage('A dataset needs at least one row.', 'error');
+            return;
+        }
+        this.draft.splice(rowIndex, 1);
+        this.renderTable();
+    }
+
+    save() {
+        const dataset = { ...this.datasets[this.datasetName], data: this.draft };
+        const problem = DatasetEditor.validate(dataset);
+        if (problem) {
+            this.onMessage(`Cannot save: ${problem}`, 'error');
+            return;
+        }
+        this.datasets[this.datasetName] = dataset;
+        this.persist(this.datasetName);
+        this.onApply(this.datasetName);
+        this.onMessage(`Saved "${this.datasetName}" with ${dataset.data.length} rows.`, 'success');
+    }
+
+    handleCreate() {
+        const name = this.newNameInput.value.trim();
+        const inputNodes = parseInt(this.newInputsInput.value);
+        const outputNodes = parseInt(this.newOutputsInput.value);
+        const hiddenLayers = this.newHiddenInput.value.split(',').map(v => parseInt(v.trim()));
+
+        if (!name) {
+            this.onMessage('Please give the new dataset a name.', 'error');
+            return;
+        }
+        if (this.datasets[name]) {
+            this.onMessage(`A dataset called "${name}" already exists.`, 'error');
+            return;
+        }
+        if (![inputNodes, outputNodes, ...hiddenLayers].every(n => Number.isInteger(n) && n >= 1 && n <= 20)) {
+            this.onMessage('Node counts must be whole numbers between 1 and 20.', 'error');
+            return;
+        }
+
+        this.datasets[name] = DatasetEditor.createDataset(inputNodes, hiddenLayers, outputNodes,
+            this.newHiddenActivation.value, this.newOutputActivation.value);
+        this.persist(name);
+        this.onApply(name);
+        this.onMessage(`Created dataset "${name}".`, 'success');
+    }
+
+    /**
+     * Builds an empty dataset in the trainingData.json shape with one all-zero row.
+     * @returns {Object} The new dataset.
+     */
+    static createDataset(inputNodes, hiddenLayers, outputNodes, hiddenActivation, outputActivation) {
+        const loss = outputActivation === 'softmax' ? 'categoricalCrossEntropy' :
+            outputActivation === 'sigmoid' ? 'binaryCrossEntropy' : 'mse';
+        return {
+            network: {
+                inputNodes,
+                hiddenLayers,
+                outputNodes,
+                options: {
+                    activationFunctions: [...hiddenLayers.map(() => hiddenActivation), outputActivation],
+                    loss
+                }
+            },
+            data: [{ inputs: Array(inputNodes).fill(0), targets: Array(outputNodes).fill(0) }]
+        };
+    }
+
+    persist(name) {
+        try {
+            const stored = JSON.parse(localStorage.getItem(DATASET_STORAGE_KEY)) || {};
+            stored[name] = this.datasets[name];
+            localStorage.setItem(DATASET_STORAGE_KEY, JSON.stringify(stored));
+        } catch (e) {
+            this.onMessage('Could not save the dataset in this browser; use Download JSON instead.', 'error');
+        }
+    }
+
+    /**
+     * Whether localStorage holds a saved copy of the named dataset.
+     */
+    static isPersisted(name) {
+        try {
+            const stored = JSON.parse(localStorage.getItem(DATASET_STORAGE_KEY)) || {};
+            return Object.hasOwn(stored, name);
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * Removes a dataset's saved copy from localStorage. The datasets object is left to onDelete.
+     * @returns {boolean} Whether the saved datasets could be updated.
+     */
+    forget(name) {
+        try {
+            const stored = JSON.parse(localStorage.getItem(DATASET_STORAGE_KEY)) || {};
+            delete stored[name];
+            localStorage.setItem(DATASET_STORAGE_KEY, JSON.stringify(stored));
+            return true;
+        } catch (e) {
+            this.onMessage('Could not update the datasets saved in this browser.', 'error');
+            return false;
+        }
+    }
+
+    deleteDataset() {
+        const name = this.datasetName;
+        if (!DatasetEditor.isPersisted(name)) {
+            this.onMessage(`"${name}" is not saved in this browser, so there is nothing to delete.`, 'error');
+            return;
+        }
+        if (!confirm(`Delete the saved dataset "${name}"? This cannot be undone.`)) return;
+        if (this.forget(name)) {
+            this.onDelete(name);
+        }
+    }
+
+    toJSON() {
+        return JSON.stringify(this.datasets, null, 2);
+    }
+
+    setDisabled(disabled) {
+        this.disabled = disabled;
+        this.container.querySelectorAll('button, input, select').forEach(elem => elem.disabled = disabled);
+    }
+}
@@ -0,0 +1,87 @@
+class DatasetGeneratorPanel {
+    /**
+     * @param {string} containerId - The id of the element the form renders into.
+     * @param {Object} options - Generator options.
+     * @param {Function} options.onGenerate - Called with (name, dataset) for each generated dataset.
+     * @param {Function} options.onMessage - Called with (message, type) to report problems.
+     */
+    constructor(containerId, options = {}) {
+        this.container = document.getElementById(containerId);
+        this.onGenerate = options.onGenerate || (() => {});
+        this.onMessage = options.onMessage || ((message) => console.log(message));
+
+        this.paramInputs = {};
+        this.disabled = false;
+
+        this.build();
+    }
+
+    build() {
+        this.container.innerHTML = '';
+
+        this.generatorSelect = document.createElement('select');
+        this.generatorSelect.className = 'custom-select w-full px-3 py-2 bg-neural-700/50 border border-neural-600/50 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent text-neural-100 text-sm';
+        for (const name in generators) {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = generators[name].label;
+            this.generatorSelect.appendChild(option);
+        }
+        this.generatorSelect.addEventListener('change', () => this.renderParams());
+
+        this.paramsElem = document.createElement('div');
+        this.paramsElem.className = 'grid grid-cols-2 gap-2 pt-2 text-xs';
+
+        this.generateBtn = document.createElement('button');
+        this.generateBtn.className = 'success-button w-full mt-2 py-1.5 px-2 rounded-lg text-xs md:text-sm font-medium text-white';
+        this.generateBtn.textContent = 'Generate';
+        this.generateBtn.addEventListener('click', () => this.generate());
+
+        this.container.append(this.generatorSelect, this.paramsElem, this.generateBtn);
+        this.renderParams();
+    }
+
+    /**
+     * Shows one input per parameter of the selected generator, set to its default.
+     */
+    renderParams() {
+        this.paramsElem.innerHTML = '';
+        this.paramInputs = {};
+        const params = generators[this.generatorSelect.value].params;
+        for (const [key, spec] of Object.entries(params)) {
+            const label = document.createElement('label');
+            label.className = 'text-neural-400 font-medium self-center';
+            label.textContent = key.charAt(0).toUpperCase() + key.slice(1);
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.min = spec.min;
+            input.max = spec.max;
+            input.step = spec.integer ? 1 : 'any';
+            input.value = spec.value;
+            input.disabled = this.disabled;
+            input.className = 'px-2 py-1 bg-neural-700/50 border border-neural-600/50 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent text-neural-100';
+            this.paramsElem.append(label, input);
+            this.paramInputs[key] = input;
+        }
+    }
+
+    generate() {
+        const params = {};
+        for (const key in this.paramInputs) {
+            params[key] = parseFloat(this.paramInputs[key].value);
+        }
+        try {
+            const { name, dataset } = generateDataset(this.generatorSelect.value, params);
+            this.onGenerate(name, dataset);
+        } catch (e) {
+            this.onMessage(`Could not generate the dataset: ${e.message}`, 'error');
+        }
+    }
+
+    setDisabled(disabled) {
+        this.disabled = disabled;
+        this.generatorSelect.disabled = disabled;
+        this.generateBtn.disabled = disabled;
+        Object.values(this.paramInputs).forEach(input => input.disabled = disabled);
+    }
+}
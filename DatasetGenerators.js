@@ -0,0 +1,287 @@
+// datasetGenerators.js - Synthetic datasets generated on demand, in the trainingData.json shape
+
+import { Random } from './Random.js';
+
+// The rows sampled datasets hold out for validation, so early stopping can end runs on noisy data
+const VALIDATION_SHARE = 0.2;
+
+const BITS = max => ({ value: 3, min: 1, max, integer: true });
+const SAMPLES = value => ({ value, min: 10, max: 2000, integer: true });
+// The standard deviation of the gaussian noise: in input units for 2D datasets, in target units for regression
+const NOISE = value => ({ value, min: 0, max: 1 });
+const CLASSES = { value: 3, min: 2, max: 5, integer: true };
+const SEED = { value: 42, min: 0, max: 0xFFFFFFFF, integer: true };
+
+/**
+ * The binary digits of a value, most significant first.
+ */
+function toBits(value, count) {
+    return Array.from({ length: count }, (_, i) => (value >> (count - 1 - i)) & 1);
+}
+
+function oneHot(index, count) {
+    return Array.from({ length: count }, (_, i) => (i === index ? 1 : 0));
+}
+
+/**
+ * A dataset whose rows are every input of `bits` bits, with the targets computed from the input's value.
+ */
+function truthTable(bits, targets) {
+    return Array.from({ length: 1 << bits }, (_, value) => ({ inputs: toBits(value, bits), targets: targets(value) }));
+}
+
+/**
+ * Every pair of `bits`-bit numbers a and b as 2 * bits inputs (a then b), with the targets computed from them.
+ */
+function arithmeticTable(bits, targets) {
+    const rows = [];
+    for (let a = 0; a < 1 << bits; a++) {
+        for (let b = 0; b < 1 << bits; b++) {
+            rows.push({ inputs: [...toBits(a, bits), ...toBits(b, bits)], targets: targets(a, b) });
+        }
+    }
+    return rows;
+}
+
+/**
+ * The "network" section of a classifier with tanh hidden layers: one sigmoid output per label, or softmax over
+ * one-hot classes. Hidden layers are capped at the 20 nodes the page allows.
+ */
+function classifierNetwork(inputNodes, hiddenLayers, outputNodes, { softmax = false, seed } = {}) {
+    return {
+        inputNodes,
+        hiddenLayers: hiddenLayers.map(nodes => Math.min(20, nodes)),
+        outputNodes,
+        options: {
+            activationFunctions: [...hiddenLayers.map(() => 'tanh'), softmax ? 'softmax' : 'sigmoid'],
+            loss: softmax ? 'categoricalCrossEntropy' : 'binaryCrossEntropy',
+            optimizer: 'adam',
+            learning_rate: 0.01,
+            ...(seed !== undefined ? { seed } : {})
+        }
+    };
+}
+
+function regressionNetwork(hiddenLayers, seed) {
+    return {
+        inputNodes: 1,
+        hiddenLayers,
+        outputNodes: 1,
+        options: {
+            activationFunctions: [...hiddenLayers.map(() => 'tanh'), 'identity'],
+            loss: 'mse',
+            optimizer: 'adam',
+            learning_rate: 0.01,
+            seed
+        }
+    };
+}
+
+/**
+ * The sections shared by sampled datasets: a seeded validation split, and early stopping, since noise keeps
+ * the loss above the default loss target. The patience is long because spirals sit on a plateau for tens of
+ * thousands of epochs before they separate.
+ */
+function sampledSections(seed) {
+    return {
+        split: { validation: VALIDATION_SHARE, test: 0, seed },
+        stopping: { patience: 20000, maxEpochs: 200000 }
+    };
+}
+
+/**
+ * Labelled 2D points, scaled into the unit square so they sit inside the decision boundary's default range.
+ * Two classes are one 0/1 target for a sigmoid output; more are one-hot targets for softmax.
+ * @param {Array<{x: number, y: number, label: number}>} points - The points, before noise.
+ */
+function pointDataset(points, classes, hiddenLayers, { noise, seed }, random) {
+    const data = points.map(({ x, y, label }) => ({
+        inputs: [x + random.gaussian(0, noise), y + random.gaussian(0, noise)],
+        targets: classes === 2 ? [label] : oneHot(label, classes)
+    }));
+    return {
+        network: classifierNetwork(2, hiddenLayers, classes === 2 ? 1 : classes, { softmax: classes > 2, seed }),
+        data,
+        ...sampledSections(seed)
+    };
+}
+
+/**
+ * Samples of y = f(x) for x uniform in [-1, 1], with gaussian noise on y.
+ */
+function functionDataset(f, hiddenLayers, { samples, noise, seed }, random) {
+    const data = Array.from({ length: samples }, () => {
+        const x = random.next() * 2 - 1;
+        return { inputs: [x], targets: [f(x) + random.gaussian(0, noise)] };
+    });
+    return { network: regressionNetwork(hiddenLayers, seed), data, ...sampledSections(seed) };
+}
+
+/**
+ * Each generator has a label, parameter specs ({ value, min, max, integer }) whose values are the defaults,
+ * a title for the generated dataset, and generate(params, random) returning the dataset.
+ */
+export const generators = {
+    parity: {
+        label: 'N-bit Parity',
+        params: { bits: { value: 4, min: 2, max: 10, integer: true } },
+        title: ({ bits }) => `Parity ${bits}bit`,
+        generate: ({ bits }) => ({
+            network: classifierNetwork(bits, [2 * bits], 1),
+            data: truthTable(bits, value => [toBits(value, bits).reduce((sum, bit) => sum + bit, 0) % 2])
+        })
+    },
+    adder: {
+        label: 'N-bit Adder',
+        params: { bits: BITS(5) },
+        // The sum has one more bit than its operands, the carry first
+        title: ({ bits }) => `Adder ${bits}bit`,
+        generate: ({ bits }) => ({
+            network: classifierNetwork(2 * bits, [4 * bits, 2 * bits + 2], bits + 1),
+            data: arithmeticTable(bits, (a, b) => toBits(a + b, bits + 1))
+        })
+    },
+    subtractor: {
+        label: 'N-bit Subtractor',
+        params: { bits: BITS(5) },
+        // a - b modulo 2^(bits + 1): the borrow first, then the difference's bits
+        title: ({ bits }) => `Subtractor ${bits}bit`,
+        generate: ({ bits }) => ({
+            network: classifierNetwork(2 * bits, [4 * bits, 2 * bits + 2], bits + 1),
+            data: arithmeticTable(bits, (a, b) => toBits(a - b + (1 << (bits + 1)), bits + 1))
+        })
+    },
+    multiplier: {
+        label: 'N-bit Multiplier',
+        params: { bits: { value: 2, min: 1, max: 5, integer: true } },
+        title: ({ bits }) => `Multiplier ${bits}bit`,
+        generate: ({ bits }) => ({
+            network: classifierNetwork(2 * bits, [6 * bits, 4 * bits], 2 * bits),
+            data: arithmeticTable(bits, (a, b) => toBits(a * b, 2 * bits))
+        })
+    },
+    decoder: {
+        label: 'N-to-2^N Decoder',
+        params: { bits: BITS(4) },
+        title: ({ bits }) => `Decoder ${bits}-to-${1 << bits}`,
+        generate: ({ bits }) => ({
+            network: classifierNetwork(bits, [Math.max(4, 1 << bits)], 1 << bits, { softmax: true }),
+            data: truthTable(bits, value => oneHot(value, 1 << bits))
+        })
+    },
+    encoder: {
+        label: '2^N-to-N Encoder',
+        params: { bits: BITS(4) },
+        title: ({ bits }) => `Encoder ${1 << bits}-to-${bits}`,
+        generate: ({ bits }) => ({
+            network: classifierNetwork(1 << bits, [Math.max(4, 2 * bits)], bits),
+            data: Array.from({ length: 1 << bits }, (_, value) => ({ inputs: oneHot(value, 1 << bits), targets: toBits(value, bits) }))
+        })
+    },
+    spirals: {
+        label: '2D Spirals',
+        params: { classes: { ...CLASSES, value: 2 }, samples: SAMPLES(300), noise: NOISE(0.02), seed: SEED },
+        title: ({ classes, samples, noise, seed }) => `Spirals ${classes} arms, ${samples} samples, noise ${noise} (seed ${seed})`,
+        generate: (params, random) => {
+            const { classes, samples } = params;
+            // Arm k turns 1.5 times from the centre, starting at angle 2πk / classes
+            const points = Array.from({ length: samples }, (_, i) => {
+                const label = i % classes;
+                const t = (Math.floor(i / classes) + 1) / Math.ceil(samples / classes);
+                const angle = 2 * Math.PI * label / classes + 3 * Math.PI * t;
+                return { x: 0.5 + 0.45 * t * Math.cos(angle), y: 0.5 + 0.45 * t * Math.sin(angle), label };
+            });
+            return pointDataset(points, classes, [16, 16], params, random);
+        }
+    },
+    circles: {
+        label: '2D Concentric Circles',
+        params: { samples: SAMPLES(200), noise: NOISE(0.04), seed: SEED },
+        // The inner circle, half the outer one's radius, is class 1
+        title: ({ samples, noise, seed }) => `Circles ${samples} samples, noise ${noise} (seed ${seed})`,
+        generate: (params, random) => {
+            const points = Array.from({ length: params.samples }, (_, i) => {
+                const label = i % 2;
+                const radius = label === 1 ? 0.2 : 0.4;
+                const angle = random.next() * 2 * Math.PI;
+                return { x: 0.5 + radius * Math.cos(angle), y: 0.5 + radius * Math.sin(angle), label };
+            });
+            return pointDataset(points, 2, [8], params, random);
+        }
+    },
+    moons: {
+        label: '2D Moons',
+        params: { samples: SAMPLES(200), noise: NOISE(0.04), seed: SEED },
+        // Two interleaved half circles of radius 1, spanning [-1, 2] x [-0.5, 1] before scaling by a third
+        title: ({ samples, noise, seed }) => `Moons ${samples} samples, noise ${noise} (seed ${seed})`,
+        generate: (params, random) => {
+            const points = Array.from({ length: params.samples }, (_, i) => {
+                const label = i % 2;
+                const angle = random.next() * Math.PI;
+                const x = label === 0 ? Math.cos(angle) : 1 - Math.cos(angle);
+                const y = label === 0 ? Math.sin(angle) : 0.5 - Math.sin(angle);
+                return { x: (x + 1) / 3, y: (y + 0.5) / 3 + 0.25, label };
+            });
+            return pointDataset(points, 2, [8, 8], params, random);
+        }
+    },
+    blobs: {
+        label: '2D Gaussian Blobs',
+        params: { classes: CLASSES, samples: SAMPLES(200), noise: NOISE(0.08), seed: SEED },
+        // The centres are drawn from the seed, within [0.15, 0.85] on both axes; the noise is each blob's spread
+        title: ({ classes, samples, noise, seed }) => `Blobs ${classes} classes, ${samples} samples, spread ${noise} (seed ${seed})`,
+        generate: (params, random) => {
+            const centres = Array.from({ length: params.classes }, () => ({
+                x: 0.15 + 0.7 * random.next(),
+                y: 0.15 + 0.7 * random.next()
+            }));
+            const points = Array.from({ length: params.samples }, (_, i) => ({ ...centres[i % params.classes], label: i % params.classes }));
+            return pointDataset(points, params.classes, [8], params, random);
+        }
+    },
+    sin: {
+        label: '1D Sine Regression',
+        params: { frequency: { value: 1, min: 0.5, max: 5 }, samples: SAMPLES(100), noise: NOISE(0.05), seed: SEED },
+        title: ({ frequency, samples, noise, seed }) => `Sine ${frequency}x, ${samples} samples, noise ${noise} (seed ${seed})`,
+        generate: (params, random) => functionDataset(x => Math.sin(Math.PI * params.frequency * x), [16, 16], params, random)
+    },
+    polynomial: {
+        label: '1D Polynomial Regression',
+        params: { degree: { value: 3, min: 1, max: 6, integer: true }, samples: SAMPLES(100), noise: NOISE(0.05), seed: SEED },
+        // The coefficients are drawn from the seed, uniform in [-1, 1]
+        title: ({ degree, samples, noise, seed }) => `Polynomial degree ${degree}, ${samples} samples, noise ${noise} (seed ${seed})`,
+        generate: (params, random) => {
+            const coefficients = Array.from({ length: params.degree + 1 }, () => random.next() * 2 - 1);
+            const f = x => coefficients.reduce((sum, c, k) => sum + c * Math.pow(x, k), 0);
+            return functionDataset(f, [12, 12], params, random);
+        }
+    }
+};
+
+/**
+ * Generates a dataset.
+ * @param {string} name - One of the keys of `generators`.
+ * @param {Object} options - Parameter overrides; numeric strings are accepted.
+ * @returns {{name: string, dataset: Object}} A dataset name built from the parameters, and the dataset, which
+ * records the generator and parameters in its "generator" section.
+ */
+export function generateDataset(name, options = {}) {
+    const generator = generators[name];
+    if (!generator) {
+        throw new Error(`generateDataset: Unknown generator "${name}".`);
+    }
+    const unknown = Object.keys(options).find(key => !(key in generator.params));
+    if (unknown !== undefined) {
+        throw new Error(`generateDataset: "${name}" has no parameter "${unknown}".`);
+    }
+    const params = {};
+    for (const [key, spec] of Object.entries(generator.params)) {
+        const value = options[key] !== undefined ? Number(options[key]) : spec.value;
+        if (!(value >= spec.min && value <= spec.max) || (spec.integer && !Number.isInteger(value))) {
+            throw new Error(`generateDataset: ${key} must be ${spec.integer ? 'an integer' : 'a number'} from ${spec.min} to ${spec.max}.`);
+        }
+        params[key] = value;
+    }
+    const dataset = generator.generate(params, new Random(params.seed !== undefined ? params.seed : 0));
+    return { name: generator.title(params), dataset: { ...dataset, generator: { name, options: params } } };
+}
@@ -0,0 +1,327 @@
+class DatasetImporter {
+    /**
+     * @param {string} containerId - The id of the element the drop zone renders into.
+     * @param {Object} datasets - The shared datasets object, used to pick unique names.
+     * @param {Object} options - Importer options.
+     * @param {Function} options.onImport - Called with (name, dataset) for each imported dataset.
+     * @param {Function} options.onMessage - Called with (message, type) to report problems.
+     */
+    constructor(containerId, datasets, options = {}) {
+        this.container = document.getElementById(containerId);
+        this.datasets = datasets;
+        this.onImport = options.onImport || (() => {});
+        this.onMessage = options.onMessage || ((message) => console.log(message));
+
+        this.pending = null;
+        this.disabled = false;
+
+        this.build();
+    }
+
+    build() {
+        this.container.innerHTML = '';
+
+        this.dropZone = document.createElement('div');
+        this.dropZone.className = 'border-2 border-dashed border-neural-600/50 rounded-lg p-3 text-center text-xs md:text-sm text-neural-400 transition-colors';
+        this.dropZone.textContent = 'Drop a CSV or JSON file here, or ';
+
+        this.fileInput = document.createElement('input');
+        this.fileInput.type = 'file';
+        this.fileInput.accept = '.csv,.json,text/csv,application/json';
+        this.fileInput.className = 'hidden';
+        this.fileInput.addEventListener('change', () => {
+            if (this.fileInput.files.length > 0) this.readFile(this.fileInput.files[0]);
+            this.fileInput.value = '';
+        });
+
+        const browseBtn = document.createElement('button');
+        browseBtn.className = 'text-blue-400 hover:text-blue-300 underline';
+        browseBtn.textContent = 'choose a file';
+        browseBtn.addEventListener('click', () => this.fileInput.click());
+        this.dropZone.append(browseBtn, this.fileInput);
+
+        this.dropZone.addEventListener('dragover', (event) => {
+            event.preventDefault();
+            if (!this.disabled) this.dropZone.classList.add('border-blue-500');
+        });
+        this.dropZone.addEventListener('dragleave', () => this.dropZone.classList.remove('border-blue-500'));
+        this.dropZone.addEventListener('drop', (event) => {
+            event.preventDefault();
+            this.dropZone.classList.remove('border-blue-500');
+            if (this.disabled) {
+                this.onMessage('Please pause training before importing a dataset.', 'error');
+                return;
+            }
+            if (event.dataTransfer.files.length > 0) this.readFile(event.dataTransfer.files[0]);
+        });
+
+        this.mappingElem = document.createElement('div');
+        this.mappingElem.className = 'mt-3 space-y-2 hidden';
+
+        this.container.append(this.dropZone, this.mappingElem);
+    }
+
+    readFile(file) {
+        const reader = new FileReader();
+        reader.onload = () => {
+            const baseName = file.name.replace(/\.[^.]+$/, '');
+            try {
+                if (/\.json$/i.test(file.name) || file.type === 'application/json') {
+                    this.importJSON(reader.result, baseName);
+                } else {
+                    this.prepareCSV(reader.result, baseName);
+                }
+            } catch (e) {
+                this.onMessage(`Import failed: ${e.message}`, 'error');
+            }
+        };
+        reader.onerror = () => this.onMessage(`Could not read ${file.name}.`, 'error');
+        reader.readAsText(file);
+    }
+
+    /**
+     * Imports JSON in the trainingData.json shape: either a map of named datasets or a single dataset.
+     * Missing network options get their defaults; nothing is imported unless every dataset validates.
+     */
+    importJSON(text, baseName) {
+        const parsed = JSON.parse(text);
+        const entries = parsed && parsed.network && parsed.data ? { [baseName]: parsed } : parsed;
+        if (!entries || typeof entries !== 'object' || Object.keys(entries).length === 0) {
+            throw new Error('JSON must be a dataset or an object of named datasets.');
+        }
+        const completed = {};
+        for (const name in entries) {
+            completed[name] = DatasetEditor.withDefaults(entries[name]);
+            const problem = DatasetEditor.validate(completed[name]);
+            if (problem) {
+                throw new Error(`"${name}": ${problem}`);
+            }
+        }
+        for (const name in completed) {
+            this.onImport(this.uniqueName(name), completed[name]);
+        }
+    }
+
+    /**
+     * Parses a CSV file and shows the column mapping controls.
+     */
+    prepareCSV(text, baseName) {
+        const rows = DatasetImporter.parseCSV(text);
+        if (rows.length === 0) {
+            throw new Error('The CSV file is empty.');
+        }
+        const width = rows[0].length;
+        const badRow = rows.findIndex(row => row.length !== width);
+        if (badRow !== -1) {
+            throw new Error(`Row ${badRow + 1} has ${rows[badRow].length} columns, expected ${width}.`);
+        }
+
+        this.pending = { name: baseName, rows, hasHeader: DatasetImporter.detectHeader(rows) };
+        this.renderMapping();
+    }
+
+    renderMapping() {
+        const { rows, hasHeader } = this.pending;
+        const header = hasHeader ? rows[0] : rows[0].map((_, c) => `Column ${c + 1}`);
+        const body = hasHeader ? rows.slice(1) : rows;
+
+        this.mappingElem.innerHTML = '';
+        this.mappingElem.classList.remove('hidden');
+
+        const headerToggle = document.createElement('label');
+        headerToggle.className = 'flex items-center space-x-2 text-xs text-neural-400';
+        const headerCheckbox = document.createElement('input');
+        headerCheckbox.type = 'checkbox';
+        headerCheckbox.checked = hasHeader;
+        headerCheckbox.className = 'accent-blue-500';
+        headerCheckbox.addEventListener('change', () => {
+            this.pending.hasHeader = headerCheckbox.checked;
+            this.renderMapping();
+        });
+        const headerText = document.createElement('span');
+        headerText.textContent = `First row is a header (${body.length} data rows)`;
+        headerToggle.append(headerCheckbox, headerText);
+        this.mappingElem.appendChild(headerToggle);
+
+        this.roleSelects = header.map((name, c) => {
+            const row = document.createElement('div');
+            row.className = 'flex items-center justify-between space-x-2 text-xs';
+            const label = document.createElement('span');
+            label.className = 'text-neural-300 truncate';
+            const categorical = !DatasetImporter.isNumericColumn(body, c);
+            label.textContent = categorical ? `${name} (categorical)` : name;
+            const select = document.createElement('select');
+            select.className = 'custom-select px-2 py-1 bg-neural-700/50 border border-neural-600/50 rounded-lg text-neural-100 text-xs';
+            ['input', 'target', 'ignore'].forEach(role => {
+                const option = document.createElement('option');
+                option.value = role;
+                option.textContent = role.charAt(0).toUpperCase() + role.slice(1);
+                select.appendChild(option);
+            });
+            select.value = c === header.length - 1 ? 'target' : 'input';
+            row.append(label, select);
+            this.mappingElem.appendChild(row);
+            return select;
+        });
+
+        const actions = document.createElement('div');
+        actions.className = 'flex space-x-2';
+        const importBtn = document.createElement('button');
+        importBtn.className = 'success-button flex-1 py-1.5 px-2 rounded-lg text-xs md:text-sm font-medium text-white';
+        importBtn.textContent = 'Import';
+        importBtn.addEventListener('click', () => this.importPendingCSV());
+        const cancelBtn = document.createElement('button');
+        cancelBtn.className = 'danger-button flex-1 py-1.5 px-2 rounded-lg text-xs md:text-sm font-medium text-white';
+        cancelBtn.textContent = 'Cancel';
+        cancelBtn.addEventListener('click', () => this.clearPending());
+        actions.append(importBtn, cancelBtn);
+        this.mappingElem.appendChild(actions);
+    }
+
+    importPendingCSV() {
+        if (this.disabled) {
+            this.onMessage('Please pause training before importing a dataset.', 'error');
+            return;
+        }
+        const { name, rows, hasHeader } = this.pending;
+        const body = hasHeader ? rows.slice(1) : rows;
+        try {
+            const dataset = DatasetImporter.buildDataset(body, this.roleSelects.map(select => select.value));
+            this.onImport(this.uniqueName(name), dataset);
+            this.clearPending();
+        } catch (e) {
+            this.onMessage(`Import failed: ${e.message}`, 'error');
+        }
+    }
+
+    clearPending() {
+        this.pending = null;
+        this.mappingElem.innerHTML = '';
+        this.mappingElem.classList.add('hidden');
+    }
+
+    uniqueName(base) {
+        let name = base || 'Imported';
+        for (let i = 2; this.datasets[name]; i++) {
+            name = `${base} (${i})`;
+        }
+        return name;
+    }
+
+    setDisabled(disabled) {
+        this.disabled = disabled;
+        this.container.querySelectorAll('button, input, select').forEach(elem => elem.disabled = disabled);
+    }
+
+    /**
+     * Splits CSV text into rows of trimmed cells. Handles quoted cells, escaped quotes and CRLF line endings.
+     * @param {string} text - The CSV text.
+     * @returns {Array<Array<string>>} The rows, with blank lines removed.
+     */
+    static parseCSV(text) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+            if (inQuotes) {
+                if (ch === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (ch === '"') {
+                    inQuotes = false;
+                } else {
+                    cell += ch;
+                }
+            } else if (ch === '"') {
+                inQuotes = true;
+            } else if (ch === ',') {
+                row.push(cell.trim());
+                cell = '';
+            } else if (ch === '\n' || ch === '\r') {
+                if (ch === '\r' && text[i + 1] === '\n') i++;
+                row.push(cell.trim());
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += ch;
+            }
+        }
+        row.push(cell.trim());
+        rows.push(row);
+
+        return rows.filter(r => !(r.length === 1 && r[0] === ''));
+    }
+
+    static isNumeric(cell) {
+        return cell !== '' && Number.isFinite(Number(cell));
+    }
+
+    static isNumericColumn(rows, c) {
+        return rows.every(row => DatasetImporter.isNumeric(row[c]));
+    }
+
+    /**
+     * Treats the first row as a header when it is entirely non-numeric,
+     * or when it has a non-numeric cell above a column that is numeric in every other row.
+     */
+    static detectHeader(rows) {
+        if (rows.length < 2) return false;
+        const first = rows[0];
+        if (first.every(cell => !DatasetImporter.isNumeric(cell))) return true;
+        return first.some((cell, c) => !DatasetImporter.isNumeric(cell) && DatasetImporter.isNumericColumn(rows.slice(1), c));
+    }
+
+    /**
+     * Encodes CSV rows into a dataset in the trainingData.json shape.
+     * Numeric columns become one node each; categorical columns are one-hot encoded.
+     * @param {Array<Array<string>>} rows - The data rows, without a header.
+     * @param {Array<string>} roles - 'input', 'target' or 'ignore' for each column.
+     * @returns {Object} The new dataset.
+     */
+    static buildDataset(rows, roles) {
+        if (rows.length === 0) {
+            throw new Error('The CSV file has no data rows.');
+        }
+        if (!roles.includes('input') || !roles.includes('target')) {
+            throw new Error('Map at least one column to inputs and one to targets.');
+        }
+
+        const encoders = roles.map((role, c) => {
+            if (role === 'ignore') return null;
+            const emptyRow = rows.findIndex(row => row[c] === '');
+            if (emptyRow !== -1) {
+                throw new Error(`Row ${emptyRow + 1}, column ${c + 1} is empty.`);
+            }
+            if (DatasetImporter.isNumericColumn(rows, c)) {
+                return { role, size: 1, encode: cell => [Number(cell)] };
+            }
+            const categories = [...new Set(rows.map(row => row[c]))].sort();
+            return { role, size: categories.length, encode: cell => categories.map(category => (category === cell ? 1 : 0)) };
+        });
+
+        const data = rows.map(row => {
+            const entry = { inputs: [], targets: [] };
+            encoders.forEach((encoder, c) => {
+                if (!encoder) return;
+                entry[encoder.role === 'input' ? 'inputs' : 'targets'].push(...encoder.encode(row[c]));
+            });
+            return entry;
+        });
+
+        const inputNodes = data[0].inputs.length;
+        const outputNodes = data[0].targets.length;
+        const targetEncoders = encoders.filter(e => e && e.role === 'target');
+        const allBinary = data.every(row => row.targets.every(t => t === 0 || t === 1));
+        const oneHotTarget = targetEncoders.length === 1 && targetEncoders[0].size > 1;
+
+        const outputActivation = oneHotTarget ? 'softmax' : allBinary ? 'sigmoid' : 'identity';
+        const hiddenNodes = Math.min(20, Math.max(4, inputNodes + outputNodes));
+        const dataset = DatasetEditor.createDataset(inputNodes, [hiddenNodes], outputNodes, 'tanh', outputActivation);
+        dataset.data = data;
+        return dataset;
+    }
+}
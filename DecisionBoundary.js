@@ -0,0 +1,150 @@
+class DecisionBoundary {
+    /**
+     * @param {string} parentId - The id of the DOM element the plot is attached to.
+     * @param {number} w_ - The width of the plot.
+     * @param {number} h_ - The height of the plot.
+     * @param {Object} options - Plot options.
+     */
+    constructor(parentId, w_, h_, options = {}) {
+        this.w = w_;
+        this.h = h_;
+        this.min = options.min !== undefined ? options.min : -0.5;
+        this.max = options.max !== undefined ? options.max : 1.5;
+        this.resolution = options.resolution || 60;
+        this.trainingResolution = options.trainingResolution || 24;
+        this.throttle = options.throttle !== undefined ? options.throttle : 250;
+        this.outputIndex = 0;
+
+        this.network = null;
+        this.lastDrawn = -Infinity;
+        this.coarse = false;
+        this.dirty = true;
+
+        this.graphics = createGraphics(this.w, this.h);
+        this.graphics.parent(parentId);
+        this.graphics.show();
+
+        this.PADDING = { left: 28, right: 8, top: 8, bottom: 20 };
+        this.BACKGROUND_COLOR = color(15, 23, 42);
+        this.LOW_COLOR = color(59, 130, 246);
+        this.MID_COLOR = color(30, 41, 59);
+        this.HIGH_COLOR = color(249, 115, 22);
+        this.TEXT_COLOR = color(148, 163, 184);
+    }
+
+    /**
+     * Sets the input range sampled on both axes.
+     */
+    setRange(min, max) {
+        if (!(max > min)) {
+            throw new Error("DecisionBoundary.setRange: max must be greater than min.");
+        }
+        this.min = min;
+        this.max = max;
+        this.dirty = true;
+    }
+
+    setOutputIndex(index) {
+        this.outputIndex = index;
+        this.dirty = true;
+    }
+
+    invalidate() {
+        this.dirty = true;
+    }
+
+    /**
+     * Redraws the heatmap when needed. While training, redraws at most once per throttle interval
+     * on a coarser grid; once training stops, the next call redraws at full resolution.
+     * @param {NeuralNetwork} nn - The network to sample. Must have 2 inputs.
+     * @param {Array<Object>} rows - The training rows drawn on top, as { inputs, targets }.
+     * @param {boolean} training - Whether the network is changing every frame (training or replaying).
+     */
+    show(nn, rows, training) {
+        const now = millis();
+        if (training) {
+            if (now - this.lastDrawn < this.throttle) return;
+        } else if (!this.dirty && nn === this.network && !this.coarse) {
+            return;
+        }
+
+        this.network = nn;
+        this.dirty = false;
+        this.lastDrawn = now;
+        this.coarse = training;
+
+        const g = this.graphics;
+        g.background(this.BACKGROUND_COLOR);
+        this.drawSurface(nn, training ? this.trainingResolution : this.resolution);
+        this.drawPoints(rows);
+        this.drawAxes();
+    }
+
+    drawSurface(nn, resolution) {
+        const g = this.graphics;
+        const { left, right, top, bottom } = this.PADDING;
+        const cellW = (this.w - left - right) / resolution;
+        const cellH = (this.h - top - bottom) / resolution;
+        const step = (this.max - this.min) / resolution;
+
+        g.noStroke();
+        for (let i = 0; i < resolution; i++) {
+            const x = this.min + (i + 0.5) * step;
+            for (let j = 0; j < resolution; j++) {
+                const y = this.max - (j + 0.5) * step;
+                const output = nn.predict([x, y])[this.outputIndex];
+                g.fill(this.valueColor(output));
+                // Overlap cells by a pixel so no seams show between them
+                g.rect(left + i * cellW, top + j * cellH, cellW + 1, cellH + 1);
+            }
+        }
+    }
+
+    drawPoints(rows) {
+        const g = this.graphics;
+        g.stroke(255);
+        g.strokeWeight(1.5);
+        for (const row of rows) {
+            const [x, y] = row.inputs;
+            if (x < this.min || x > this.max || y < this.min || y > this.max) continue;
+            g.fill(this.valueColor(row.targets[this.outputIndex]));
+            g.circle(this.toScreenX(x), this.toScreenY(y), 10);
+        }
+    }
+
+    drawAxes() {
+        const g = this.graphics;
+        const { left, right, top, bottom } = this.PADDING;
+        g.noStroke();
+        g.fill(this.TEXT_COLOR);
+        g.textSize(10);
+
+        g.textAlign(CENTER, TOP);
+        g.text(this.min, left, this.h - bottom + 4);
+        g.text(this.max, this.w - right, this.h - bottom + 4);
+        g.text('x₁', (left + this.w - right) / 2, this.h - bottom + 4);
+
+        g.textAlign(RIGHT, CENTER);
+        g.text(this.max, left - 4, top);
+        g.text(this.min, left - 4, this.h - bottom);
+        g.text('x₂', left - 4, (top + this.h - bottom) / 2);
+    }
+
+    /**
+     * Maps an output in 0..1 onto a diverging blue-to-orange scale. Values outside 0..1 are clamped.
+     */
+    valueColor(value) {
+        const v = constrain(value, 0, 1);
+        return v < 0.5 ? lerpColor(this.LOW_COLOR, this.MID_COLOR, v * 2) : lerpColor(this.MID_COLOR, this.HIGH_COLOR, (v - 0.5) * 2);
+    }
+
+    toScreenX(x) {
+        const { left, right } = this.PADDING;
+        return left + ((x - this.min) / (this.max - this.min)) * (this.w - left - right);
+    }
+
+    toScreenY(y) {
+        const { top, bottom } = this.PADDING;
+        return top + ((this.max - y) / (this.max - this.min)) * (this.h - top - bottom);
+    }
+}
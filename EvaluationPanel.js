@@ -0,0 +1,271 @@
+class EvaluationPanel {
+    /**
+     * @param {string} containerId - The id of the element the panel renders into.
+     * @param {Object} options - Panel options.
+     * @param {Function} options.onSelectRow - Called with a dataset row index when a matrix or count cell is clicked.
+     * @param {Function} options.onMessage - Called with (message, type) to report problems.
+     * @param {number} options.throttle - The minimum milliseconds between recomputations.
+     */
+    constructor(containerId, options = {}) {
+        this.container = document.getElementById(containerId);
+        this.onSelectRow = options.onSelectRow || (() => {});
+        this.onMessage = options.onMessage || ((message) => console.log(message));
+        this.throttle = options.throttle !== undefined ? options.throttle : 250;
+        this.threshold = 0.5;
+        this.part = 'all';
+
+        this.lastComputed = -Infinity;
+        this.dirty = true;
+        this.disabled = false;
+        // The JSON of the last rendered results, so an unchanged evaluation leaves the DOM (and a pending click) alone
+        this.rendered = null;
+        // The dataset row indices behind each clickable cell, and how far repeated clicks have cycled through them
+        this.cellRows = {};
+        this.cellCursor = {};
+
+        this.build();
+    }
+
+    build() {
+        this.container.innerHTML = '';
+
+        const controls = document.createElement('div');
+        controls.className = 'grid grid-cols-2 gap-2 text-xs mb-3';
+        this.partSelect = this.createField(controls, 'Rows', 'select');
+        [['all', 'All rows'], ['train', 'Training'], ['validation', 'Validation'], ['test', 'Test']].forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            this.partSelect.appendChild(option);
+        });
+        this.partSelect.addEventListener('change', () => {
+            this.part = this.partSelect.value;
+            this.invalidate();
+        });
+        this.thresholdInput = this.createField(controls, 'Threshold', 'input');
+        this.thresholdInput.type = 'number';
+        this.thresholdInput.min = 0;
+        this.thresholdInput.max = 1;
+        this.thresholdInput.step = 0.05;
+        this.thresholdInput.value = this.threshold;
+        this.thresholdInput.title = 'The output value from which a multi-label (non-softmax) output predicts 1';
+        this.thresholdInput.addEventListener('change', () => this.handleThresholdChange());
+        this.container.appendChild(controls);
+
+        this.summaryElem = document.createElement('p');
+        this.summaryElem.className = 'text-xs md:text-sm text-neural-300 mb-2';
+        this.container.appendChild(this.summaryElem);
+
+        this.tablesElem = document.createElement('div');
+        this.tablesElem.className = 'space-y-3 overflow-auto';
+        this.tablesElem.addEventListener('click', (event) => {
+            const cell = event.target.closest('[data-cell]');
+            if (cell && !this.disabled) this.selectCellRow(cell.dataset.cell);
+        });
+        this.container.appendChild(this.tablesElem);
+    }
+
+    createField(parent, labelText, tagName) {
+        const label = document.createElement('label');
+        label.className = 'text-neural-400 font-medium self-center';
+        label.textContent = labelText;
+        const field = document.createElement(tagName);
+        field.className = tagName === 'select'
+            ? 'custom-select px-2 py-1 bg-neural-700/50 border border-neural-600/50 rounded-lg text-neural-100'
+            : 'px-2 py-1 bg-neural-700/50 border border-neural-600/50 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent text-neural-100';
+        parent.append(label, field);
+        return field;
+    }
+
+    handleThresholdChange() {
+        const threshold = parseFloat(this.thresholdInput.value);
+        if (!(threshold >= 0 && threshold <= 1)) {
+            this.onMessage('The decision threshold must be between 0 and 1.', 'error');
+            this.thresholdInput.value = this.threshold;
+            return;
+        }
+        this.threshold = threshold;
+        this.invalidate();
+    }
+
+    setDisabled(disabled) {
+        this.disabled = disabled;
+        this.tablesElem.querySelectorAll('[data-cell]').forEach(button => button.disabled = disabled);
+    }
+
+    invalidate() {
+        this.dirty = true;
+    }
+
+    /**
+     * Recomputes the metrics at most once per throttle interval, or at once after invalidate(), and re-renders
+     * the tables only when the results changed.
+     * @param {NeuralNetwork} nn - The network to evaluate.
+     * @param {Function} getRows - Maps the selected part ('all', 'train', 'validation' or 'test') to
+     * { rows, indices }: the rows to evaluate and their indices in the dataset.
+     */
+    show(nn, getRows) {
+        const now = millis();
+        if (!this.dirty && now - this.lastComputed < this.throttle) return;
+        this.dirty = false;
+        this.lastComputed = now;
+
+        const { rows, indices } = getRows(this.part);
+        const metrics = rows.length > 0 ? classificationMetrics(nn, rows, { threshold: this.threshold }) : null;
+        const results = { part: this.part, count: rows.length, metrics, indices: metrics ? indices : null };
+        const json = JSON.stringify(results);
+        if (json === this.rendered) return;
+        this.rendered = json;
+        this.render(results);
+    }
+
+    render({ part, count, metrics, indices }) {
+        this.tablesElem.innerHTML = '';
+        this.cellRows = {};
+        this.cellCursor = {};
+        // Set before the early returns, so a switch to an empty part or non-binary targets does not keep it disabled
+        const multiclass = Boolean(metrics) && metrics.type === 'multiclass';
+        this.thresholdInput.disabled = multiclass;
+
+        if (count === 0) {
+            this.summaryElem.textContent = `The ${part} part has no rows.`;
+            return;
+        }
+        if (!metrics) {
+            this.summaryElem.textContent = 'Classification metrics need every target to be 0 or 1.';
+            return;
+        }
+        // Cells hold positions in the evaluated rows; clicking selects the matching dataset rows
+        const toIndices = positions => positions.map(position => indices[position]);
+
+        const rule = multiclass ? 'largest output' : `threshold ${metrics.threshold}`;
+        this.summaryElem.textContent = `Accuracy ${this.formatScore(metrics.accuracy)} ` +
+            `(${metrics.correct}/${metrics.count} rows, ${rule}), macro F1 ${this.formatScore(metrics.macro.f1)}`;
+
+        if (multiclass) {
+            this.tablesElem.appendChild(this.buildConfusionMatrix(metrics, toIndices));
+        }
+        this.tablesElem.appendChild(this.buildScoreTable(metrics, toIndices));
+    }
+
+    /**
+     * The argmax confusion matrix: one row per actual class and one column per predicted class.
+     */
+    buildConfusionMatrix(metrics, toIndices) {
+        const table = document.createElement('table');
+        table.className = 'data-table w-full text-xs';
+        const classes = metrics.confusion.length;
+
+        const head = document.createElement('tr');
+        head.appendChild(this.createHeader('Actual \\ Predicted', 'text-neural-400'));
+        for (let predicted = 0; predicted < classes; predicted++) {
+            head.appendChild(this.createHeader(`${predicted + 1}`, 'text-blue-400'));
+        }
+        table.appendChild(head);
+
+        metrics.confusion.forEach((cells, actual) => {
+            const tr = document.createElement('tr');
+            tr.appendChild(this.createHeader(`${actual + 1}`, 'text-green-400'));
+            const support = metrics.perOutput[actual].support;
+            cells.forEach((positions, predicted) => {
+                // Shade each cell by its share of the actual class: green on the diagonal, red off it
+                const share = support > 0 ? positions.length / support : 0;
+                const background = actual === predicted
+                    ? `rgba(34, 197, 94, ${0.6 * share})`
+                    : `rgba(239, 68, 68, ${0.6 * share})`;
+                tr.appendChild(this.createCountCell(`confusion-${actual}-${predicted}`, toIndices(positions), background,
+                    `Actual class ${actual + 1}, predicted class ${predicted + 1}`));
+            });
+            table.appendChild(tr);
+        });
+        return table;
+    }
+
+    /**
+     * Precision, recall and F1 of every output (or class, one-vs-rest), with a macro-average row.
+     */
+    buildScoreTable(metrics, toIndices) {
+        const table = document.createElement('table');
+        table.className = 'data-table w-full text-xs';
+        const multiclass = metrics.type === 'multiclass';
+        const countKeys = multiclass ? [] : ['tp', 'fp', 'fn', 'tn'];
+
+        const head = document.createElement('tr');
+        [multiclass ? 'Class' : 'Output', 'Precision', 'Recall', 'F1', ...(multiclass ? ['Support'] : countKeys.map(key => key.toUpperCase()))]
+            .forEach(text => head.appendChild(this.createHeader(text, 'text-neural-300')));
+        table.appendChild(head);
+
+        metrics.perOutput.forEach((output, k) => {
+            const tr = document.createElement('tr');
+            tr.appendChild(this.createHeader(`${k + 1}`, 'text-green-400'));
+            [output.precision, output.recall, output.f1].forEach(score => tr.appendChild(this.createValueCell(this.formatScore(score))));
+            if (multiclass) {
+                tr.appendChild(this.createValueCell(output.support));
+            }
+            countKeys.forEach(key => {
+                const correct = key === 'tp' || key === 'tn';
+                const background = output.cells[key].length > 0
+                    ? (correct ? 'rgba(34, 197, 94, 0.15)' : 'rgba(239, 68, 68, 0.25)')
+                    : 'transparent';
+                tr.appendChild(this.createCountCell(`${key}-${k}`, toIndices(output.cells[key]), background,
+                    `Output ${k + 1}: ${key.toUpperCase()} rows`));
+            });
+            table.appendChild(tr);
+        });
+
+        const macro = document.createElement('tr');
+        macro.appendChild(this.createHeader('Macro', 'text-neural-400'));
+        [metrics.macro.precision, metrics.macro.recall, metrics.macro.f1].forEach(score => macro.appendChild(this.createValueCell(this.formatScore(score))));
+        table.appendChild(macro);
+        return table;
+    }
+
+    createHeader(text, colorClass) {
+        const th = document.createElement('th');
+        th.className = `px-1 py-1 font-medium ${colorClass}`;
+        th.textContent = text;
+        return th;
+    }
+
+    createValueCell(text) {
+        const td = document.createElement('td');
+        td.className = 'px-1 py-1 font-mono text-neural-100 text-center';
+        td.textContent = text;
+        return td;
+    }
+
+    /**
+     * A cell showing how many rows it holds. Clicking it selects the first of them, then the next on each click.
+     */
+    createCountCell(key, rowIndices, background, title) {
+        const td = document.createElement('td');
+        td.className = 'px-1 py-1 text-center';
+        td.style.backgroundColor = background;
+        if (rowIndices.length === 0) {
+            td.className += ' font-mono text-neural-500';
+            td.textContent = '0';
+            return td;
+        }
+        this.cellRows[key] = rowIndices;
+        const button = document.createElement('button');
+        button.className = 'w-full font-mono text-neural-100 hover:text-cyan-400';
+        button.textContent = rowIndices.length;
+        button.title = `${title}: click to select ${rowIndices.length === 1 ? 'it' : 'each in turn'}`;
+        button.dataset.cell = key;
+        button.disabled = this.disabled;
+        td.appendChild(button);
+        return td;
+    }
+
+    selectCellRow(key) {
+        const rowIndices = this.cellRows[key];
+        if (!rowIndices) return;
+        const cursor = this.cellCursor[key] || 0;
+        this.cellCursor[key] = (cursor + 1) % rowIndices.length;
+        this.onSelectRow(rowIndices[cursor]);
+    }
+
+    formatScore(score) {
+        return score === null ? '–' : `${(score * 100).toFixed(1)}%`;
+    }
+}
@@ -0,0 +1,193 @@
+// evolution.js - Gradient-free training: a genetic algorithm over a population of networks
+//
+// A Population has the same interface as a Trainer (trainEpochs, evaluate, epoch, nn, rows), with one
+// generation standing for one epoch, so the worker, the CLI and the stopping rules can run either.
+
+import { NeuralNetwork } from './NeuralNetwork.js';
+import { Trainer } from './Trainer.js';
+import { Random } from './Random.js';
+
+export const DEFAULT_EVOLUTION = {
+    populationSize: 50,
+    // The fittest individuals, copied unchanged into the next generation
+    eliteCount: 2,
+    // How many individuals, drawn at random, compete to become each parent
+    tournamentSize: 3,
+    // The probability that a child is the crossover of two parents rather than a copy of one
+    crossoverRate: 0.7,
+    // The probability that each weight and bias of a child mutates, passed to mutate()
+    mutationRate: 0.05
+};
+
+export class Population {
+    /**
+     * @param {NeuralNetwork} network - The first individual; the others are new initialisations of the same
+     * architecture and settings. It is copied, never changed.
+     * @param {Object} rows - The dataset rows ({ inputs, targets }) of each split part; fitness is the negative
+     * loss on rows.train.
+     * @param {Object} options - Overrides of DEFAULT_EVOLUTION, and `epoch`: the generation count to continue from.
+     * @param {string|Object} state - A population from serialize() to continue instead of starting a new one.
+     */
+    constructor(network, rows, options = {}, state = null) {
+        if (!rows || !Array.isArray(rows.train) || rows.train.length === 0) {
+            throw new Error("Population: rows.train must contain at least one row.");
+        }
+        const { epoch = 0, ...evolution } = options;
+        const problem = Population.checkOptions(evolution);
+        if (problem) {
+            throw new Error(`Population: ${problem}`);
+        }
+        this.options = { ...DEFAULT_EVOLUTION, ...evolution };
+        const { populationSize } = this.options;
+        this.rows = { train: rows.train, validation: rows.validation || [], test: rows.test || [] };
+
+        if (state) {
+            if (typeof state === 'string') state = JSON.parse(state);
+            this.epoch = state.generation;
+            this.random = Random.deserialize(state.random);
+            this.individuals = state.individuals.map(data => NeuralNetwork.deserialize(data));
+            this.resize(populationSize);
+        } else {
+            this.epoch = epoch;
+            // A copy of the network's generator, so the same seed always evolves the same way
+            this.random = network.random.copy();
+            this.individuals = [];
+            this.resize(populationSize, network);
+        }
+        this.rank();
+    }
+
+    /**
+     * Checks overrides of DEFAULT_EVOLUTION without building a population, so settings read from a file can be
+     * refused before they reach a training run.
+     * @param {Object} options - Overrides of DEFAULT_EVOLUTION.
+     * @returns {string|null} The first problem found, or null if the options are usable.
+     */
+    static checkOptions(options) {
+        if (!options || typeof options !== 'object' || Array.isArray(options)) {
+            return "the evolution options must be an object.";
+        }
+        const { populationSize, eliteCount, tournamentSize, crossoverRate, mutationRate } = { ...DEFAULT_EVOLUTION, ...options };
+        if (!Number.isInteger(populationSize) || populationSize < 2) {
+            return "populationSize must be an integer of at least 2.";
+        }
+        if (!Number.isInteger(eliteCount) || eliteCount < 0 || eliteCount >= populationSize) {
+            return "eliteCount must be an integer from 0 to populationSize - 1.";
+        }
+        if (!Number.isInteger(tournamentSize) || tournamentSize < 1) {
+            return "tournamentSize must be an integer of at least 1.";
+        }
+        if (!(crossoverRate >= 0 && crossoverRate <= 1) || !(mutationRate >= 0 && mutationRate <= 1)) {
+            return "crossoverRate and mutationRate must be between 0 and 1.";
+        }
+        return null;
+    }
+
+    /**
+     * The fittest individual of the current generation.
+     */
+    get nn() {
+        return this.individuals[0];
+    }
+
+    /**
+     * Grows the population with new initialisations of its first individual, or drops its least fit, to the given size.
+     * @param {NeuralNetwork} template - The network to copy when the population is empty.
+     */
+    resize(size, template = this.individuals[0]) {
+        this.individuals = this.individuals.slice(0, size);
+        while (this.individuals.length < size) {
+            const individual = template.copy();
+            individual.random = new Random(this.random.integer(0x100000000));
+            if (this.individuals.length > 0) individual.initializeParameters();
+            this.individuals.push(individual);
+        }
+    }
+
+    /**
+     * Computes every individual's fitness, the negative loss on the training rows, and sorts the fittest first.
+     */
+    rank() {
+        const ranked = this.individuals.map(individual => ({
+            individual,
+            fitness: -Trainer.evaluate(individual, this.rows.train).loss
+        }));
+        // A stable sort keeps ties in their previous order, so the ranking is reproducible
+        ranked.sort((a, b) => b.fitness - a.fitness);
+        this.individuals = ranked.map(r => r.individual);
+        this.fitness = ranked.map(r => r.fitness);
+    }
+
+    /**
+     * Picks a parent: the fittest of `tournamentSize` individuals drawn at random with replacement.
+     * The individuals are sorted fittest first, so that is the one with the lowest index.
+     */
+    tournament() {
+        let winner = this.random.integer(this.individuals.length);
+        for (let i = 1; i < this.options.tournamentSize; i++) {
+            winner = Math.min(winner, this.random.integer(this.individuals.length));
+        }
+        return this.individuals[winner];
+    }
+
+    /**
+     * Replaces the population with the next generation: the elites unchanged, then children of tournament-selected
+     * parents by crossover (or copying) and mutation.
+     */
+    evolve() {
+        const { eliteCount, crossoverRate, mutationRate } = this.options;
+        const next = this.individuals.slice(0, eliteCount).map(individual => individual.copy());
+        while (next.length < this.individuals.length) {
+            const parent = this.tournament();
+            const child = this.random.next() < crossoverRate
+                ? NeuralNetwork.crossover(parent, this.tournament())
+                : parent.copy();
+            child.random = new Random(this.random.integer(0x100000000));
+            child.mutate(mutationRate);
+            next.push(child);
+        }
+        this.individuals = next;
+        this.epoch++;
+        this.rank();
+    }
+
+    /**
+     * Evolves the given number of generations.
+     */
+    trainEpochs(generations) {
+        for (let i = 0; i < generations; i++) {
+            this.evolve();
+        }
+    }
+
+    /**
+     * Evaluates the fittest individual on every split part.
+     * @returns {Object} A history entry like Trainer.evaluate()'s, with the generation as its epoch, a null
+     * learningRate, and the generation's bestFitness, meanFitness and worstFitness.
+     */
+    evaluate() {
+        const metrics = Trainer.evaluate(this.nn, this.rows.train);
+        const validationMetrics = Trainer.evaluate(this.nn, this.rows.validation);
+        const testMetrics = Trainer.evaluate(this.nn, this.rows.test);
+        return {
+            epoch: this.epoch,
+            ...metrics,
+            validationLoss: validationMetrics ? validationMetrics.loss : null,
+            validationAccuracy: validationMetrics ? validationMetrics.accuracy : null,
+            testLoss: testMetrics ? testMetrics.loss : null,
+            testAccuracy: testMetrics ? testMetrics.accuracy : null,
+            learningRate: null,
+            bestFitness: this.fitness[0],
+            meanFitness: this.fitness.reduce((sum, f) => sum + f, 0) / this.fitness.length,
+            worstFitness: this.fitness[this.fitness.length - 1]
+        };
+    }
+
+    serialize() {
+        return JSON.stringify({
+            generation: this.epoch,
+            random: this.random.serialize(),
+            individuals: this.individuals.map(individual => individual.serialize())
+        });
+    }
+}
@@ -0,0 +1,163 @@
+class FitnessChart {
+    /**
+     * @param {string} parentId - The id of the DOM element the chart is attached to.
+     * @param {number} w_ - The width of the chart.
+     * @param {number} h_ - The height of the chart.
+     * @param {Object} options - Chart options.
+     */
+    constructor(parentId, w_, h_, options = {}) {
+        this.w = w_;
+        this.h = h_;
+        this.maxHistory = options.maxHistory !== undefined ? options.maxHistory : 10000;
+        this.history = [];
+        this.dirty = true;
+
+        this.graphics = createGraphics(this.w, this.h);
+        this.graphics.parent(parentId);
+        this.graphics.show();
+
+        this.PADDING = { left: 48, right: 12, top: 22, bottom: 20 };
+        this.BACKGROUND_COLOR = color(15, 23, 42);
+        this.GRID_COLOR = color(255, 20);
+        this.BEST_COLOR = color(74, 222, 128);
+        this.MEAN_COLOR = color(96, 165, 250);
+        this.WORST_COLOR = color(248, 113, 113, 140);
+        this.TEXT_COLOR = color(148, 163, 184);
+    }
+
+    /**
+     * Appends one generation's fitness to the history.
+     * @param {Object} entry - A Population history entry: { epoch, bestFitness, meanFitness, worstFitness, ... },
+     * where epoch is the generation.
+     */
+    record(entry) {
+        this.history.push(entry);
+        if (this.history.length > this.maxHistory) {
+            this.history.shift();
+        }
+        this.dirty = true;
+    }
+
+    reset() {
+        this.history = [];
+        this.dirty = true;
+    }
+
+    show() {
+        if (!this.dirty) return;
+        this.dirty = false;
+
+        const g = this.graphics;
+        g.background(this.BACKGROUND_COLOR);
+        this.drawGrid();
+        if (this.history.length < 2) {
+            g.noStroke();
+            g.fill(this.TEXT_COLOR);
+            g.textSize(12);
+            g.textAlign(CENTER, CENTER);
+            g.text('Start neuroevolution to record fitness', this.w / 2, this.h / 2);
+            return;
+        }
+
+        const range = this.calculateRange();
+        this.drawAxisLabels(range);
+        const scale = value => (value - range.min) / (range.max - range.min);
+        this.drawSeries(entry => scale(entry.worstFitness), this.WORST_COLOR, 1);
+        this.drawSeries(entry => scale(entry.meanFitness), this.MEAN_COLOR, 2);
+        this.drawSeries(entry => scale(entry.bestFitness), this.BEST_COLOR, 2);
+        this.drawLegend(this.history[this.history.length - 1]);
+    }
+
+    /**
+     * The range of the best and mean fitness. The worst individual, often a wild mutation, is clipped to it
+     * rather than flattening the other lines.
+     */
+    calculateRange() {
+        let lo = Infinity;
+        let hi = -Infinity;
+        for (const entry of this.history) {
+            lo = min(lo, entry.meanFitness);
+            hi = max(hi, entry.bestFitness);
+        }
+        if (hi - lo < 1e-12) lo = hi - 1;
+        return { min: lo, max: hi };
+    }
+
+    drawGrid() {
+        const g = this.graphics;
+        const { left, right, top, bottom } = this.PADDING;
+        g.stroke(this.GRID_COLOR);
+        g.strokeWeight(1);
+        for (let i = 0; i <= 4; i++) {
+            const y = top + (i / 4) * (this.h - top - bottom);
+            g.line(left, y, this.w - right, y);
+        }
+    }
+
+    drawAxisLabels(range) {
+        const g = this.graphics;
+        const { left, right, top, bottom } = this.PADDING;
+        g.noStroke();
+        g.textSize(10);
+        g.fill(this.TEXT_COLOR);
+        g.textAlign(RIGHT, CENTER);
+        for (let i = 0; i <= 4; i++) {
+            const v = range.max - (i / 4) * (range.max - range.min);
+            g.text(v.toPrecision(2), left - 4, top + (i / 4) * (this.h - top - bottom));
+        }
+        g.textAlign(LEFT, TOP);
+        g.text(this.history[0].epoch, left, this.h - bottom + 4);
+        g.textAlign(RIGHT, TOP);
+        g.text(this.history[this.history.length - 1].epoch, this.w - right, this.h - bottom + 4);
+    }
+
+    /**
+     * Draws one series across the whole run, using at most one point per pixel column.
+     * @param {Function} valueFn - Maps an entry to a value in 0..1.
+     * @param {p5.Color} seriesColor - The line color.
+     * @param {number} weight - The line weight.
+     */
+    drawSeries(valueFn, seriesColor, weight) {
+        const g = this.graphics;
+        const { left, right, top, bottom } = this.PADDING;
+        const plotW = this.w - left - right;
+        const plotH = this.h - top - bottom;
+        const last = this.history.length - 1;
+        const stride = Math.max(1, Math.ceil(this.history.length / plotW));
+
+        g.noFill();
+        g.stroke(seriesColor);
+        g.strokeWeight(weight);
+        const indices = [];
+        for (let i = 0; i < last; i += stride) indices.push(i);
+        indices.push(last);
+
+        g.beginShape();
+        for (const i of indices) {
+            const x = left + (i / last) * plotW;
+            const y = top + (1 - constrain(valueFn(this.history[i]), 0, 1)) * plotH;
+            g.vertex(x, y);
+        }
+        g.endShape();
+    }
+
+    drawLegend(latest) {
+        const g = this.graphics;
+        g.noStroke();
+        g.textSize(11);
+        g.textAlign(LEFT, TOP);
+
+        let x = this.PADDING.left;
+        const labels = [
+            [this.BEST_COLOR, `Best ${nf(latest.bestFitness, 1, 5)}`],
+            [this.MEAN_COLOR, `Mean ${nf(latest.meanFitness, 1, 5)}`],
+            [this.WORST_COLOR, `Worst ${nf(latest.worstFitness, 1, 3)}`],
+            [this.TEXT_COLOR, `Generation ${latest.epoch}`]
+        ];
+        for (const [labelColor, label] of labels) {
+            g.fill(labelColor);
+            g.text(label, x, 4);
+            x += g.textWidth(label) + 12;
+        }
+    }
+}
@@ -0,0 +1,170 @@
+// gradientCheck.js - Compares backpropagation against finite-difference gradients
+
+import { Matrix } from './Matrix.js';
+import { NeuralNetwork, activations, losses } from './NeuralNetwork.js';
+import { Random } from './Random.js';
+
+// Relative errors above this mean backpropagation and the finite differences disagree
+export const GRADIENT_CHECK_TOLERANCE = 1e-4;
+// The suite's default seed, so repeated runs (and npm test) check the same networks and samples
+export const GRADIENT_CHECK_SEED = 1;
+
+// These losses take logs of the outputs, so they are only defined for outputs in (0, 1)
+const PROBABILITY_LOSSES = ['binaryCrossEntropy', 'categoricalCrossEntropy'];
+const PROBABILITY_ACTIVATIONS = ['sigmoid', 'softmax', 'hardSigmoid'];
+
+/**
+ * Computes the loss of a network on one sample without touching its display state.
+ */
+function sampleLoss(network, input, target) {
+    const { activations_list } = network.forwardPass(Matrix.fromArray(input));
+    return network.calculateLoss(activations_list[activations_list.length - 1].toArray(), target);
+}
+
+/**
+ * Estimates dLoss/dp for every value p of a matrix by central differences, restoring each value afterwards.
+ */
+function numericGradient(network, param, input, target, epsilon) {
+    const gradient = new Matrix(param.rows, param.cols);
+    for (let k = 0; k < param.values.length; k++) {
+        const original = param.values[k];
+        param.values[k] = original + epsilon;
+        const lossPlus = sampleLoss(network, input, target);
+        param.values[k] = original - epsilon;
+        const lossMinus = sampleLoss(network, input, target);
+        param.values[k] = original;
+        gradient.values[k] = (lossPlus - lossMinus) / (2 * epsilon);
+    }
+    return gradient;
+}
+
+/**
+ * The indices of the weights within epsilon of 0 when the network has an L1 penalty. |w| has a kink at 0,
+ * so a central difference across it measures neither side's slope and cannot check the gradient there.
+ */
+function l1Kinks(network, weights, epsilon) {
+    const kinks = new Set();
+    if (network.l1 > 0) {
+        for (let k = 0; k < weights.values.length; k++) {
+            if (Math.abs(weights.values[k]) < epsilon) kinks.add(k);
+        }
+    }
+    return kinks;
+}
+
+/**
+ * Relative error |a - b| / (|a| + |b|) over whole matrices, using Euclidean norms, leaving out the
+ * excluded indices. Two zero gradients agree perfectly.
+ */
+function relativeError(a, b, excluded = new Set()) {
+    let difference = 0, normA = 0, normB = 0;
+    for (let k = 0; k < a.values.length; k++) {
+        if (excluded.has(k)) continue;
+        difference += (a.values[k] - b.values[k]) ** 2;
+        normA += a.values[k] ** 2;
+        normB += b.values[k] ** 2;
+    }
+    const scale = Math.sqrt(normA) + Math.sqrt(normB);
+    return scale === 0 ? 0 : Math.sqrt(difference) / scale;
+}
+
+/**
+ * Checks the gradients backpropagation computes for one sample against central finite differences
+ * of the network's loss, for every weight and bias. The network is left unchanged.
+ * @param {NeuralNetwork} network - The network to check.
+ * @param {Array<number>} input - The sample's inputs.
+ * @param {Array<number>} target - The sample's targets.
+ * @param {number} epsilon - The step used for the finite differences.
+ * @returns {{layers: Array<Object>, maxError: number, passed: boolean}} Per layer (0 = first hidden layer)
+ * the relative error of the weight and bias gradients and the number of weights left out of it for sitting
+ * on the L1 kink (kinkWeights), the largest of those errors, and whether it is within GRADIENT_CHECK_TOLERANCE.
+ */
+export function gradientCheck(network, input, target, epsilon = 1e-5) {
+    if (!(network instanceof NeuralNetwork)) {
+        throw new TypeError("gradientCheck expects a NeuralNetwork.");
+    }
+    if (!Array.isArray(input) || input.length !== network.input_nodes) {
+        throw new Error(`gradientCheck: input must be an array of ${network.input_nodes} numbers.`);
+    }
+    if (!Array.isArray(target) || target.length !== network.output_nodes) {
+        throw new Error(`gradientCheck: target must be an array of ${network.output_nodes} numbers.`);
+    }
+    if (typeof epsilon !== "number" || !(epsilon > 0)) {
+        throw new Error("gradientCheck: epsilon must be a positive number.");
+    }
+
+    const { zs, activations_list } = network.forwardPass(Matrix.fromArray(input));
+    const { weightGradients, biasGradients } = network.backpropagate(zs, activations_list, Matrix.fromArray(target));
+
+    const layers = network.weights.map((weights, l) => {
+        const numericWeights = numericGradient(network, weights, input, target, epsilon);
+        const numericBiases = numericGradient(network, network.biases[l], input, target, epsilon);
+        const kinks = l1Kinks(network, weights, epsilon);
+        return {
+            layer: l,
+            weightError: relativeError(weightGradients[l], numericWeights, kinks),
+            biasError: relativeError(biasGradients[l], numericBiases),
+            kinkWeights: kinks.size
+        };
+    });
+    const maxError = Math.max(...layers.map(layer => Math.max(layer.weightError, layer.biasError)));
+    return { layers, maxError, passed: maxError <= GRADIENT_CHECK_TOLERANCE };
+}
+
+/**
+ * A target the loss is defined for: one-hot for categorical cross-entropy, 0/1 for binary cross-entropy,
+ * anything in [0, 1] otherwise.
+ */
+function randomTarget(lossName, size, random) {
+    if (lossName === 'categoricalCrossEntropy') {
+        const hot = random.integer(size);
+        return Array.from({ length: size }, (_, i) => (i === hot ? 1 : 0));
+    }
+    if (lossName === 'binaryCrossEntropy') {
+        return Array.from({ length: size }, () => (random.next() < 0.5 ? 0 : 1));
+    }
+    return Array.from({ length: size }, () => random.next());
+}
+
+/**
+ * Runs gradientCheck on a small two-hidden-layer network with L1 and L2 penalties for every combination of
+ * hidden activation, output activation and loss. Cross-entropy losses are skipped for output activations that can leave (0, 1),
+ * since their loss is clamped there and has no meaningful gradient.
+ * @param {Object} options - { epsilon, samples, seed }: the number of random samples checked per combination,
+ * and the seed the networks and samples are drawn from (GRADIENT_CHECK_SEED by default).
+ * @returns {Array<Object>} One entry per combination: { hidden, output, loss, skipped, maxError, passed, layers }.
+ */
+export function gradientCheckSuite(options = {}) {
+    const { epsilon = 1e-5, samples = 3, seed = GRADIENT_CHECK_SEED } = options;
+    const random = new Random(seed);
+    const inputNodes = 3, hiddenLayers = [4, 3], outputNodes = 3;
+    const results = [];
+
+    for (const hidden of Object.keys(activations)) {
+        for (const output of Object.keys(activations)) {
+            for (const loss of Object.keys(losses)) {
+                if (PROBABILITY_LOSSES.includes(loss) && !PROBABILITY_ACTIVATIONS.includes(output)) {
+                    results.push({ hidden, output, loss, skipped: true });
+                    continue;
+                }
+                const network = new NeuralNetwork(inputNodes, hiddenLayers, outputNodes, {
+                    activationFunctions: [hidden, hidden, output],
+                    loss,
+                    // Small penalties, so their gradients are checked along with the loss's
+                    l1: 1e-3,
+                    l2: 1e-3,
+                    seed: random.integer(0x100000000),
+                    debug: false
+                });
+                let worst = null;
+                for (let s = 0; s < samples; s++) {
+                    const input = Array.from({ length: inputNodes }, () => random.next() * 2 - 1);
+                    const check = gradientCheck(network, input, randomTarget(loss, outputNodes, random), epsilon);
+                    if (!worst || check.maxError > worst.maxError) worst = check;
+                }
+                results.push({ hidden, output, loss, skipped: false, ...worst });
+            }
+        }
+    }
+    return results;
+}
@@ -0,0 +1,102 @@
+// initializers.js - Starting values for weight and bias matrices
+//
+// A weight matrix has one row per node of its layer and one column per node of the layer before,
+// so fanIn is its column count and fanOut its row count.
+
+import { Matrix } from './Matrix.js';
+
+const SMALL_UNIFORM_LIMIT = 0.01;
+const SMALL_NORMAL_SD = 0.01;
+
+function fillUniform(matrix, random, limit) {
+    const values = matrix.values;
+    for (let k = 0; k < values.length; k++) values[k] = (random.next() * 2 - 1) * limit;
+    return matrix;
+}
+
+function fillNormal(matrix, random, sd) {
+    const values = matrix.values;
+    for (let k = 0; k < values.length; k++) values[k] = random.gaussian(0, sd);
+    return matrix;
+}
+
+/**
+ * Fills the matrix so its rows, or its columns when there are more rows than columns, are orthonormal,
+ * by Gram-Schmidt on gaussian vectors.
+ */
+function fillOrthogonal(matrix, random, gain) {
+    const byColumns = matrix.rows >= matrix.cols;
+    const count = byColumns ? matrix.cols : matrix.rows;
+    const length = byColumns ? matrix.rows : matrix.cols;
+    const vectors = [];
+    while (vectors.length < count) {
+        const v = Array.from({ length }, () => random.gaussian());
+        for (const u of vectors) {
+            let dot = 0;
+            for (let k = 0; k < length; k++) dot += v[k] * u[k];
+            for (let k = 0; k < length; k++) v[k] -= dot * u[k];
+        }
+        const norm = Math.sqrt(v.reduce((sum, x) => sum + x * x, 0));
+        // A draw that is (almost) a combination of the earlier vectors is discarded
+        if (norm < 1e-8) continue;
+        vectors.push(v.map(x => x / norm));
+    }
+    for (let i = 0; i < matrix.rows; i++) {
+        for (let j = 0; j < matrix.cols; j++) {
+            matrix.set(i, j, gain * (byColumns ? vectors[j][i] : vectors[i][j]));
+        }
+    }
+    return matrix;
+}
+
+// Every initializer fills a matrix in place from the network's Random and returns it.
+// Options come from the { name, ...options } form of an initializer setting.
+export const initializers = {
+    // The original scheme: uniform in ±2·sqrt(2 / (fanIn + fanOut))
+    default: (matrix, random) => fillUniform(matrix, random, Math.sqrt(2 / (matrix.rows + matrix.cols)) * 2),
+    xavierUniform: (matrix, random) => fillUniform(matrix, random, Math.sqrt(6 / (matrix.rows + matrix.cols))),
+    xavierNormal: (matrix, random) => fillNormal(matrix, random, Math.sqrt(2 / (matrix.rows + matrix.cols))),
+    heUniform: (matrix, random) => fillUniform(matrix, random, Math.sqrt(6 / matrix.cols)),
+    heNormal: (matrix, random) => fillNormal(matrix, random, Math.sqrt(2 / matrix.cols)),
+    lecunUniform: (matrix, random) => fillUniform(matrix, random, Math.sqrt(3 / matrix.cols)),
+    lecunNormal: (matrix, random) => fillNormal(matrix, random, Math.sqrt(1 / matrix.cols)),
+    orthogonal: (matrix, random, { gain = 1 } = {}) => fillOrthogonal(matrix, random, gain),
+    smallUniform: (matrix, random, { limit = SMALL_UNIFORM_LIMIT } = {}) => fillUniform(matrix, random, limit),
+    smallNormal: (matrix, random, { sd = SMALL_NORMAL_SD } = {}) => fillNormal(matrix, random, sd),
+    // Every node of a layer starts identical, so they all receive the same gradient and never
+    // become different: the layer learns like a single node (zeros in every layer learn nothing at all)
+    constant: (matrix, random, { value = 0.1 } = {}) => matrix.map(() => value),
+    zeros: (matrix) => matrix.map(() => 0)
+};
+
+// The initializers a bias vector may use. The fan-based ones would read a bias vector's single column as a
+// fanIn of 1, so heNormal would give biases a standard deviation of about 1.41.
+export const biasInitializers = ['default', 'smallUniform', 'smallNormal', 'constant', 'zeros'];
+
+/**
+ * Splits an initializer setting into its registry name and options.
+ * @param {string|Object} setting - A registry name such as "heNormal", or { name, ...options }.
+ * @returns {{name: string, options: Object}}
+ */
+export function parseInitializer(setting) {
+    const { name, ...options } = typeof setting === "string" ? { name: setting } : setting || {};
+    return { name, options };
+}
+
+/**
+ * Fills a matrix with an initializer.
+ * @param {Matrix} matrix - The matrix to fill in place.
+ * @param {string|Object} setting - A registry name, or { name, ...options }.
+ * @param {Random} random - The generator to draw from.
+ * @returns {Matrix} The matrix.
+ */
+export function initialize(matrix, setting, random) {
+    if (!(matrix instanceof Matrix)) {
+        throw new TypeError("initialize expects a Matrix.");
+    }
+    const { name, options } = parseInitializer(setting);
+    if (!initializers[name]) {
+        throw new Error(`initialize: Unknown initializer "${name}".`);
+    }
+    return initializers[name](matrix, random, options);
+}
@@ -0,0 +1,166 @@
+// learningRateSchedule.js - Learning rates that change with the epoch or the loss history
+
+export class LearningRateSchedule {
+    /**
+     * @param {string} name - The registry name of the schedule.
+     * @param {Object} options - Parameters specific to the schedule.
+     */
+    constructor(name, options = {}) {
+        this.name = name;
+        this.options = options;
+        // The number of training steps taken so far; the Trainer advances it before every step
+        this.epoch = 0;
+        this.state = {};
+    }
+
+    /**
+     * The learning rate of the current epoch.
+     * @param {number} baseRate - The network's configured learning rate.
+     */
+    rate(baseRate) {
+        return baseRate * this.factor(this.epoch);
+    }
+
+    /**
+     * The multiple of the base rate used at an epoch. Subclasses override this.
+     */
+    factor(epoch) {
+        return 1;
+    }
+
+    /**
+     * Reports the loss of an evaluation at the current epoch. Only schedules driven by the loss use it.
+     */
+    observe(loss) {}
+
+    reset() {
+        this.epoch = 0;
+        this.state = {};
+    }
+
+    copy() {
+        return LearningRateSchedule.deserialize(this.serialize());
+    }
+
+    serialize() {
+        return JSON.stringify({ name: this.name, options: this.options, epoch: this.epoch, state: this.state });
+    }
+
+    static deserialize(data) {
+        if (typeof data === 'string') data = JSON.parse(data);
+        if (!data || !("name" in data)) {
+            throw new Error("LearningRateSchedule.deserialize: Invalid data format.");
+        }
+        let schedule = createSchedule(data.name, data.options);
+        schedule.epoch = data.epoch || 0;
+        schedule.state = { ...schedule.state, ...data.state };
+        return schedule;
+    }
+}
+
+export class ConstantSchedule extends LearningRateSchedule {
+    constructor(options = {}) {
+        super('constant', options);
+    }
+}
+
+export class StepDecay extends LearningRateSchedule {
+    constructor(options = {}) {
+        super('step', { stepSize: 5000, gamma: 0.5, ...options });
+    }
+
+    factor(epoch) {
+        return Math.pow(this.options.gamma, Math.floor(epoch / this.options.stepSize));
+    }
+}
+
+export class ExponentialDecay extends LearningRateSchedule {
+    constructor(options = {}) {
+        super('exponential', { gamma: 0.9999, ...options });
+    }
+
+    factor(epoch) {
+        return Math.pow(this.options.gamma, epoch);
+    }
+}
+
+export class CosineAnnealing extends LearningRateSchedule {
+    constructor(options = {}) {
+        super('cosine', { period: 20000, minFactor: 0.01, ...options });
+    }
+
+    // Falls from 1 to minFactor along half a cosine over `period` epochs, then stays there
+    factor(epoch) {
+        const { period, minFactor } = this.options;
+        const progress = Math.min(epoch, period) / period;
+        return minFactor + (1 - minFactor) * 0.5 * (1 + Math.cos(Math.PI * progress));
+    }
+}
+
+export class LinearWarmup extends LearningRateSchedule {
+    constructor(options = {}) {
+        super('warmup', { warmupEpochs: 1000, startFactor: 0.01, ...options });
+    }
+
+    factor(epoch) {
+        const { warmupEpochs, startFactor } = this.options;
+        if (epoch >= warmupEpochs) return 1;
+        return startFactor + (1 - startFactor) * epoch / warmupEpochs;
+    }
+}
+
+export class ReduceOnPlateau extends LearningRateSchedule {
+    constructor(options = {}) {
+        super('plateau', { factor: 0.5, patience: 2000, threshold: 1e-4, minFactor: 0.001, ...options });
+        this.state = { scale: 1, best: null, bestEpoch: 0 };
+    }
+
+    factor() {
+        return this.state.scale;
+    }
+
+    /**
+     * Multiplies the rate by `factor` whenever the loss has not improved on its best by more than the relative
+     * `threshold` for `patience` epochs, down to `minFactor` times the base rate.
+     */
+    observe(loss) {
+        const { factor, patience, threshold, minFactor } = this.options;
+        const state = this.state;
+        if (state.best === null || loss < state.best * (1 - threshold)) {
+            state.best = loss;
+            state.bestEpoch = this.epoch;
+        } else if (this.epoch - state.bestEpoch >= patience) {
+            state.scale = Math.max(minFactor, state.scale * factor);
+            // Give the reduced rate a full patience period before reducing again
+            state.bestEpoch = this.epoch;
+        }
+    }
+
+    reset() {
+        super.reset();
+        this.state = { scale: 1, best: null, bestEpoch: 0 };
+    }
+}
+
+export const schedules = {
+    constant: ConstantSchedule,
+    step: StepDecay,
+    exponential: ExponentialDecay,
+    cosine: CosineAnnealing,
+    warmup: LinearWarmup,
+    plateau: ReduceOnPlateau
+};
+
+/**
+ * Creates a learning-rate schedule from its registry name.
+ * @param {string} name - One of the keys of `schedules`.
+ * @param {Object} options - Parameter overrides.
+ * @returns {LearningRateSchedule} The new schedule.
+ */
+export function createSchedule(name, options = {}) {
+    const ScheduleClass = schedules[name];
+    if (!ScheduleClass) {
+        throw new Error(`createSchedule: Unknown schedule "${name}".`);
+    }
+    return new ScheduleClass(options);
+}
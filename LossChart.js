@@ -0,0 +1,264 @@
+class LossChart {
+    /**
+     * @param {string} parentId - The id of the DOM element the chart is attached to.
+     * @param {number} w_ - The width of the chart.
+     * @param {number} h_ - The height of the chart.
+     * @param {Object} options - Chart options.
+     */
+    constructor(parentId, w_, h_, options = {}) {
+        this.w = w_;
+        this.h = h_;
+        this.windowSize = options.windowSize !== undefined ? options.windowSize : 300;
+        this.maxHistory = options.maxHistory !== undefined ? options.maxHistory : 10000;
+        this.logScale = options.logScale || false;
+        this.lossLabel = options.lossLabel || 'Loss';
+        this.epochLabel = options.epochLabel || 'Epoch';
+        this.history = [];
+        this.dirty = true;
+
+        this.graphics = createGraphics(this.w, this.h);
+        this.graphics.parent(parentId);
+        this.graphics.show();
+
+        this.PADDING = { left: 48, right: 40, top: 22, bottom: 20 };
+        this.BACKGROUND_COLOR = color(15, 23, 42);
+        this.GRID_COLOR = color(255, 20);
+        this.LOSS_COLOR = color(96, 165, 250);
+        this.VALIDATION_COLOR = color(251, 146, 60);
+        this.ACCURACY_COLOR = color(74, 222, 128);
+        this.OUTPUT_START_COLOR = color(250, 204, 21, 110);
+        this.OUTPUT_END_COLOR = color(244, 114, 182, 110);
+        this.TEXT_COLOR = color(148, 163, 184);
+    }
+
+    /**
+     * Appends one evaluation of the network to the history.
+     * @param {Object} entry - { epoch, loss, outputErrors, accuracy, validationLoss, validationAccuracy, testLoss, testAccuracy, learningRate }.
+     * Accuracy is null for non-classification datasets and the validation/test fields are null without a split.
+     */
+    record(entry) {
+        this.history.push(entry);
+        if (this.history.length > this.maxHistory) {
+            this.history.shift();
+        }
+        this.dirty = true;
+    }
+
+    reset() {
+        this.history = [];
+        this.dirty = true;
+    }
+
+    setLossLabel(label) {
+        this.lossLabel = label;
+        this.dirty = true;
+    }
+
+    // Neuroevolution records one entry per generation
+    setEpochLabel(label) {
+        this.epochLabel = label;
+        this.dirty = true;
+    }
+
+    setLogScale(enabled) {
+        this.logScale = enabled;
+        this.dirty = true;
+    }
+
+    /**
+     * Serializes the history as CSV, one row per recorded epoch.
+     * @returns {string} The CSV text.
+     */
+    toCSV() {
+        const numOutputs = this.history.length > 0 ? this.history[0].outputErrors.length : 0;
+        const header = ['epoch', 'loss', 'accuracy', 'validation_loss', 'validation_accuracy', 'test_loss', 'test_accuracy', 'learning_rate'];
+        for (let i = 0; i < numOutputs; i++) {
+            header.push(`output_${i}_error`);
+        }
+        const value = v => (v === null || v === undefined ? '' : v);
+        const rows = this.history.map(entry => [
+            entry.epoch,
+            entry.loss,
+            value(entry.accuracy),
+            value(entry.validationLoss),
+            value(entry.validationAccuracy),
+            value(entry.testLoss),
+            value(entry.testAccuracy),
+            value(entry.learningRate),
+            ...entry.outputErrors
+        ].join(','));
+        return [header.join(','), ...rows].join('\n');
+    }
+
+    toJSON() {
+        return JSON.stringify(this.history, null, 2);
+    }
+
+    show() {
+        if (!this.dirty) return;
+        this.dirty = false;
+
+        const g = this.graphics;
+        g.background(this.BACKGROUND_COLOR);
+
+        const visible = this.history.slice(-this.windowSize);
+        this.drawGrid();
+        if (visible.length < 2) {
+            g.noStroke();
+            g.fill(this.TEXT_COLOR);
+            g.textSize(12);
+            g.textAlign(CENTER, CENTER);
+            g.text('Start training to record loss history', this.w / 2, this.h / 2);
+            return;
+        }
+
+        const range = this.calculateLossRange(visible);
+        this.drawAxisLabels(visible, range);
+
+        const numOutputs = visible[0].outputErrors.length;
+        if (numOutputs > 1) {
+            for (let k = 0; k < numOutputs; k++) {
+                const outputColor = lerpColor(this.OUTPUT_START_COLOR, this.OUTPUT_END_COLOR, k / (numOutputs - 1));
+                this.drawSeries(visible, entry => this.scaleLoss(entry.outputErrors[k], range), outputColor, 1);
+            }
+        }
+        this.drawSeries(visible, entry => this.scaleLoss(entry.loss, range), this.LOSS_COLOR, 2);
+        if (this.hasValidation(visible)) {
+            this.drawSeries(visible, entry => this.scaleLoss(entry.validationLoss, range), this.VALIDATION_COLOR, 2);
+        }
+
+        if (visible[visible.length - 1].accuracy !== null) {
+            this.drawSeries(visible, entry => entry.accuracy, this.ACCURACY_COLOR, 2);
+        }
+
+        this.drawLegend(visible[visible.length - 1], this.hasValidation(visible));
+    }
+
+    /**
+     * Calculates the loss range of the visible window in the current scale.
+     * @param {Array<Object>} visible - The visible history entries.
+     * @returns {{min: number, max: number}} The range of scaled loss values.
+     */
+    hasValidation(visible) {
+        return visible.every(entry => entry.validationLoss !== null && entry.validationLoss !== undefined);
+    }
+
+    calculateLossRange(visible) {
+        let lo = Infinity;
+        let hi = -Infinity;
+        const withValidation = this.hasValidation(visible);
+        for (const entry of visible) {
+            const values = withValidation ? [entry.loss, entry.validationLoss, ...entry.outputErrors] : [entry.loss, ...entry.outputErrors];
+            for (const value of values) {
+                const v = this.logScale ? Math.log10(Math.max(value, 1e-8)) : value;
+                lo = min(lo, v);
+                hi = max(hi, v);
+            }
+        }
+        if (!this.logScale) lo = 0;
+        if (hi - lo < 1e-12) hi = lo + 1;
+        return { min: lo, max: hi };
+    }
+
+    /**
+     * Maps a raw loss value into 0..1 within the given range.
+     */
+    scaleLoss(value, range) {
+        const v = this.logScale ? Math.log10(Math.max(value, 1e-8)) : value;
+        return (v - range.min) / (range.max - range.min);
+    }
+
+    drawGrid() {
+        const g = this.graphics;
+        const { left, right, top, bottom } = this.PADDING;
+        g.stroke(this.GRID_COLOR);
+        g.strokeWeight(1);
+        for (let i = 0; i <= 4; i++) {
+            const y = top + (i / 4) * (this.h - top - bottom);
+            g.line(left, y, this.w - right, y);
+        }
+    }
+
+    drawAxisLabels(visible, range) {
+        const g = this.graphics;
+        const { left, right, top, bottom } = this.PADDING;
+        g.noStroke();
+        g.textSize(10);
+
+        g.fill(this.LOSS_COLOR);
+        g.textAlign(RIGHT, CENTER);
+        for (let i = 0; i <= 4; i++) {
+            const v = range.max - (i / 4) * (range.max - range.min);
+            const label = this.logScale ? `1e${v.toFixed(1)}` : v.toPrecision(2);
+            g.text(label, left - 4, top + (i / 4) * (this.h - top - bottom));
+        }
+
+        if (visible[visible.length - 1].accuracy !== null) {
+            g.fill(this.ACCURACY_COLOR);
+            g.textAlign(LEFT, CENTER);
+            g.text('100%', this.w - right + 4, top);
+            g.text('0%', this.w - right + 4, this.h - bottom);
+        }
+
+        g.fill(this.TEXT_COLOR);
+        g.textAlign(LEFT, TOP);
+        g.text(visible[0].epoch, left, this.h - bottom + 4);
+        g.textAlign(RIGHT, TOP);
+        g.text(visible[visible.length - 1].epoch, this.w - right, this.h - bottom + 4);
+    }
+
+    /**
+     * Draws one series as a polyline across the visible window.
+     * @param {Array<Object>} visible - The visible history entries.
+     * @param {Function} valueFn - Maps an entry to a value in 0..1.
+     * @param {p5.Color} seriesColor - The line color.
+     * @param {number} weight - The line weight.
+     */
+    drawSeries(visible, valueFn, seriesColor, weight) {
+        const g = this.graphics;
+        const { left, right, top, bottom } = this.PADDING;
+        const plotW = this.w - left - right;
+        const plotH = this.h - top - bottom;
+
+        g.noFill();
+        g.stroke(seriesColor);
+        g.strokeWeight(weight);
+        g.beginShape();
+        for (let i = 0; i < visible.length; i++) {
+            const x = left + (i / (visible.length - 1)) * plotW;
+            const y = top + (1 - constrain(valueFn(visible[i]), 0, 1)) * plotH;
+            g.vertex(x, y);
+        }
+        g.endShape();
+    }
+
+    drawLegend(latest, withValidation) {
+        const g = this.graphics;
+        g.noStroke();
+        g.textSize(11);
+        g.textAlign(LEFT, TOP);
+
+        let x = this.PADDING.left;
+        g.fill(this.LOSS_COLOR);
+        const lossLabel = `${withValidation ? 'Train ' : ''}${this.lossLabel} ${nf(latest.loss, 1, 5)}`;
+        g.text(lossLabel, x, 4);
+        x += g.textWidth(lossLabel) + 12;
+
+        if (withValidation) {
+            g.fill(this.VALIDATION_COLOR);
+            const validationLabel = `Validation ${nf(latest.validationLoss, 1, 5)}`;
+            g.text(validationLabel, x, 4);
+            x += g.textWidth(validationLabel) + 12;
+        }
+
+        if (latest.accuracy !== null) {
+            g.fill(this.ACCURACY_COLOR);
+            const accuracyLabel = `Accuracy ${(latest.accuracy * 100).toFixed(1)}%`;
+            g.text(accuracyLabel, x, 4);
+            x += g.textWidth(accuracyLabel) + 12;
+        }
+
+        g.fill(this.TEXT_COLOR);
+        g.text(`${this.epochLabel} ${latest.epoch}${this.logScale ? ' (log)' : ''}`, x, 4);
+    }
+}
@@ -1,6 +1,11 @@
 // matrix.js - Robust Matrix Implementation
+//
+// Values are stored row-major in a single Float64Array. `data[i][j]` still works through cached row views
+// onto that buffer, but the hot paths (and new code) use `values`, `get(i, j)` and `set(i, j, value)`.
 
-function normaliseMatrix(a) {
+import { Random } from './Random.js';
+
+export function normaliseMatrix(a) {
     if (!(a instanceof Matrix)) {
         throw new TypeError("normaliseMatrix expects a Matrix instance.");
     }
@@ -8,10 +13,8 @@ function normaliseMatrix(a) {
     let result = a.copy();
     let sum = 0;
 
-    for (let i = 0; i < a.rows; i++) {
-        for (let j = 0; j < a.cols; j++) {
-            sum += Math.abs(result.data[i][j]);
-        }
+    for (let k = 0; k < result.values.length; k++) {
+        sum += Math.abs(result.values[k]);
     }
 
     if (sum === 0) {
@@ -23,67 +26,206 @@ function normaliseMatrix(a) {
 }
 
 
-class Matrix {
+export class Matrix {
+    #rowViews = null;
+
     constructor(rows, cols) {
         if (!Number.isInteger(rows) || !Number.isInteger(cols) || rows <= 0 || cols <= 0) {
             throw new Error("Matrix constructor requires positive integer dimensions.");
         }
         this.rows = rows;
         this.cols = cols;
-        this.data = Array.from({ length: rows }, () => Array(cols).fill(0));
+        this.values = new Float64Array(rows * cols);
+    }
+
+    /**
+     * Row views onto `values`, so `data[i][j]` reads and writes the matrix in place.
+     * Kept for code written against the nested-array layout; prefer get/set or `values`.
+     */
+    get data() {
+        if (this.#rowViews === null) {
+            this.#rowViews = Array.from({ length: this.rows }, (_, i) => this.values.subarray(i * this.cols, (i + 1) * this.cols));
+        }
+        return this.#rowViews;
+    }
+
+    set data(rows) {
+        if (!Array.isArray(rows) || rows.length !== this.rows || !rows.every(row => row.length === this.cols)) {
+            throw new Error(`Matrix data error: expected ${this.rows} rows of ${this.cols} values`);
+        }
+        for (let i = 0; i < this.rows; i++) {
+            this.values.set(rows[i], i * this.cols);
+        }
+    }
+
+    get(i, j) {
+        return this.values[i * this.cols + j];
+    }
+
+    set(i, j, value) {
+        this.values[i * this.cols + j] = value;
+        return this;
     }
 
     copy() {
         let m = new Matrix(this.rows, this.cols);
-        for (let i = 0; i < this.rows; i++) {
-            for (let j = 0; j < this.cols; j++) {
-                m.data[i][j] = this.data[i][j];
-            }
+        m.values.set(this.values);
+        return m;
+    }
+
+    /**
+     * Builds a matrix from row-major values, e.g. the `values` of another matrix sent from a worker.
+     */
+    static fromValues(rows, cols, values) {
+        let m = new Matrix(rows, cols);
+        if (!values || values.length !== m.values.length) {
+            throw new Error(`Matrix.fromValues: expected ${m.values.length} values for ${rows}x${cols}`);
         }
+        m.values.set(values);
         return m;
     }
 
     static fromArray(arr) {
         if (!Array.isArray(arr)) throw new TypeError("fromArray expects an array.");
-        return new Matrix(arr.length, 1).map((_, i) => arr[i]);
+        return Matrix.fromValues(arr.length, 1, arr);
     }
 
     toArray() {
-        return this.data.flat();
+        return Array.from(this.values);
+    }
+
+    /**
+     * Builds a matrix whose columns are the given arrays, one column per sample.
+     */
+    static fromColumns(columns) {
+        if (!Array.isArray(columns) || columns.length === 0 || !columns.every(Array.isArray)) {
+            throw new TypeError("fromColumns expects a non-empty array of arrays.");
+        }
+        const rows = columns[0].length;
+        if (!columns.every(c => c.length === rows)) {
+            throw new Error("fromColumns: all columns must have the same length.");
+        }
+        const m = new Matrix(rows, columns.length);
+        for (let j = 0; j < m.cols; j++) {
+            for (let i = 0; i < rows; i++) m.values[i * m.cols + j] = columns[j][i];
+        }
+        return m;
+    }
+
+    toColumns() {
+        return Array.from({ length: this.cols }, (_, j) => this.column(j));
+    }
+
+    /**
+     * The values as nested plain arrays, one per row.
+     */
+    toRows() {
+        return Array.from({ length: this.rows }, (_, i) => this.row(i));
+    }
+
+    row(i) {
+        if (!Number.isInteger(i) || i < 0 || i >= this.rows) {
+            throw new Error(`Matrix row error: index ${i} out of range for ${this.rows} rows`);
+        }
+        return Array.from(this.values.subarray(i * this.cols, (i + 1) * this.cols));
+    }
+
+    column(j) {
+        if (!Number.isInteger(j) || j < 0 || j >= this.cols) {
+            throw new Error(`Matrix column error: index ${j} out of range for ${this.cols} columns`);
+        }
+        return Array.from({ length: this.rows }, (_, i) => this.values[i * this.cols + j]);
     }
 
-    randomize() {
+    /**
+     * Fills the matrix with uniform values scaled to its size.
+     * @param {Random} random - The generator to draw from; pass a seeded one for reproducible values.
+     */
+    randomize(random = new Random()) {
         let limit = Math.sqrt(2 / (this.rows + this.cols)) * 2;
-        return this.map(() => (Math.random() * 2 - 1) * limit);
+        return this.map(() => (random.next() * 2 - 1) * limit);
     }
 
     add(n) {
+        const values = this.values;
         if (n instanceof Matrix) {
             if (this.rows !== n.rows || this.cols !== n.cols) {
                 throw new Error(`Matrix add error: size mismatch ${this.rows}x${this.cols} vs ${n.rows}x${n.cols}`);
             }
-            return this.map((e, i, j) => e + n.data[i][j]);
+            const other = n.values;
+            for (let k = 0; k < values.length; k++) values[k] += other[k];
         } else if (typeof n === "number") {
-            return this.map(e => e + n);
+            for (let k = 0; k < values.length; k++) values[k] += n;
         } else {
             throw new TypeError("Matrix.add expects a Matrix or number.");
         }
+        return this;
+    }
+
+    subtract(n) {
+        const values = this.values;
+        if (n instanceof Matrix) {
+            if (this.rows !== n.rows || this.cols !== n.cols) {
+                throw new Error(`Matrix subtract error: size mismatch ${this.rows}x${this.cols} vs ${n.rows}x${n.cols}`);
+            }
+            const other = n.values;
+            for (let k = 0; k < values.length; k++) values[k] -= other[k];
+        } else if (typeof n === "number") {
+            for (let k = 0; k < values.length; k++) values[k] -= n;
+        } else {
+            throw new TypeError("Matrix.subtract expects a Matrix or number.");
+        }
+        return this;
+    }
+
+    addColumnVector(v) {
+        if (!(v instanceof Matrix) || v.cols !== 1) {
+            throw new TypeError("Matrix.addColumnVector expects a column vector Matrix.");
+        }
+        if (v.rows !== this.rows) {
+            throw new Error(`Matrix addColumnVector error: size mismatch ${this.rows}x${this.cols} vs ${v.rows}x1`);
+        }
+        const values = this.values;
+        for (let i = 0; i < this.rows; i++) {
+            const offset = i * this.cols;
+            const b = v.values[i];
+            for (let j = 0; j < this.cols; j++) values[offset + j] += b;
+        }
+        return this;
     }
 
     multiply(n) {
+        const values = this.values;
         if (n instanceof Matrix) {
             if (this.rows !== n.rows || this.cols !== n.cols) {
                 throw new Error(`Matrix multiply error: size mismatch ${this.rows}x${this.cols} vs ${n.rows}x${n.cols}`);
             }
-            return this.map((e, i, j) => e * n.data[i][j]);
+            const other = n.values;
+            for (let k = 0; k < values.length; k++) values[k] *= other[k];
         } else if (typeof n === "number") {
-            return this.map(e => e * n);
+            for (let k = 0; k < values.length; k++) values[k] *= n;
         } else {
             throw new TypeError("Matrix.multiply expects a Matrix or number.");
         }
+        return this;
+    }
+
+    /**
+     * Returns `out` when it is given and has the expected size, otherwise a new matrix.
+     * `out` must not be one of the operands of a product.
+     */
+    static #target(out, rows, cols, name) {
+        if (out === undefined) return new Matrix(rows, cols);
+        if (!(out instanceof Matrix) || out.rows !== rows || out.cols !== cols) {
+            throw new Error(`Matrix ${name} error: output must be a ${rows}x${cols} Matrix`);
+        }
+        return out;
     }
 
-    static multiply(a, b) {
+    /**
+     * Matrix product a·b, written into `out` when given.
+     */
+    static multiply(a, b, out) {
         if (!(a instanceof Matrix) || !(b instanceof Matrix)) {
             throw new TypeError("Matrix.multiply expects two Matrices.");
         }
@@ -91,43 +233,135 @@ class Matrix {
             throw new Error(`Matrix multiply error: a.cols (${a.cols}) must match b.rows (${b.rows})`);
         }
 
-        let result = new Matrix(a.rows, b.cols);
-        for (let i = 0; i < result.rows; i++) {
-            for (let j = 0; j < result.cols; j++) {
+        const result = Matrix.#target(out, a.rows, b.cols, "multiply");
+        const A = a.values, B = b.values, C = result.values;
+        const n = a.cols, m = b.cols;
+        for (let i = 0; i < a.rows; i++) {
+            for (let j = 0; j < m; j++) {
+                let sum = 0;
+                for (let k = 0; k < n; k++) {
+                    sum += A[i * n + k] * B[k * m + j];
+                }
+                C[i * m + j] = sum;
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Matrix product aᵀ·b without building the transpose, written into `out` when given.
+     */
+    static transposeMultiply(a, b, out) {
+        if (!(a instanceof Matrix) || !(b instanceof Matrix)) {
+            throw new TypeError("Matrix.transposeMultiply expects two Matrices.");
+        }
+        if (a.rows !== b.rows) {
+            throw new Error(`Matrix transposeMultiply error: a.rows (${a.rows}) must match b.rows (${b.rows})`);
+        }
+
+        const result = Matrix.#target(out, a.cols, b.cols, "transposeMultiply");
+        const A = a.values, B = b.values, C = result.values;
+        const n = a.cols, m = b.cols;
+        for (let i = 0; i < n; i++) {
+            for (let j = 0; j < m; j++) {
+                let sum = 0;
+                for (let k = 0; k < a.rows; k++) {
+                    sum += A[k * n + i] * B[k * m + j];
+                }
+                C[i * m + j] = sum;
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Matrix product a·bᵀ without building the transpose, written into `out` when given.
+     */
+    static multiplyTranspose(a, b, out) {
+        if (!(a instanceof Matrix) || !(b instanceof Matrix)) {
+            throw new TypeError("Matrix.multiplyTranspose expects two Matrices.");
+        }
+        if (a.cols !== b.cols) {
+            throw new Error(`Matrix multiplyTranspose error: a.cols (${a.cols}) must match b.cols (${b.cols})`);
+        }
+
+        const result = Matrix.#target(out, a.rows, b.rows, "multiplyTranspose");
+        const A = a.values, B = b.values, C = result.values;
+        const n = a.cols, m = b.rows;
+        for (let i = 0; i < a.rows; i++) {
+            for (let j = 0; j < m; j++) {
                 let sum = 0;
-                for (let k = 0; k < a.cols; k++) {
-                    sum += a.data[i][k] * b.data[k][j];
+                for (let k = 0; k < n; k++) {
+                    sum += A[i * n + k] * B[j * n + k];
                 }
-                result.data[i][j] = sum;
+                C[i * m + j] = sum;
             }
         }
         return result;
     }
 
-    static subtract(a, b) {
+    /**
+     * Element-wise a - b, written into `out` when given (which may be a or b).
+     */
+    static subtract(a, b, out) {
         if (!(a instanceof Matrix) || !(b instanceof Matrix)) {
             throw new TypeError("Matrix.subtract expects two Matrices.");
         }
         if (a.rows !== b.rows || a.cols !== b.cols) {
             throw new Error(`Matrix subtract error: size mismatch ${a.rows}x${a.cols} vs ${b.rows}x${b.cols}`);
         }
-        return new Matrix(a.rows, a.cols).map((_, i, j) => a.data[i][j] - b.data[i][j]);
+        const result = Matrix.#target(out, a.rows, a.cols, "subtract");
+        const A = a.values, B = b.values, C = result.values;
+        for (let k = 0; k < C.length; k++) C[k] = A[k] - B[k];
+        return result;
+    }
+
+    static rowSums(matrix) {
+        if (!(matrix instanceof Matrix)) {
+            throw new TypeError("Matrix.rowSums expects a Matrix.");
+        }
+        const result = new Matrix(matrix.rows, 1);
+        const values = matrix.values;
+        for (let i = 0; i < matrix.rows; i++) {
+            let sum = 0;
+            for (let j = 0; j < matrix.cols; j++) sum += values[i * matrix.cols + j];
+            result.values[i] = sum;
+        }
+        return result;
+    }
+
+    static columnSums(matrix) {
+        if (!(matrix instanceof Matrix)) {
+            throw new TypeError("Matrix.columnSums expects a Matrix.");
+        }
+        const result = new Matrix(1, matrix.cols);
+        const values = matrix.values;
+        for (let i = 0; i < matrix.rows; i++) {
+            for (let j = 0; j < matrix.cols; j++) result.values[j] += values[i * matrix.cols + j];
+        }
+        return result;
     }
 
     static transpose(matrix) {
         if (!(matrix instanceof Matrix)) {
             throw new TypeError("Matrix.transpose expects a Matrix.");
         }
-        return new Matrix(matrix.cols, matrix.rows)
-            .map((_, i, j) => matrix.data[j][i]);
+        const result = new Matrix(matrix.cols, matrix.rows);
+        for (let i = 0; i < matrix.rows; i++) {
+            for (let j = 0; j < matrix.cols; j++) {
+                result.values[j * matrix.rows + i] = matrix.values[i * matrix.cols + j];
+            }
+        }
+        return result;
     }
 
     map(func) {
         if (typeof func !== "function") throw new TypeError("Matrix.map expects a function.");
+        const values = this.values;
+        let k = 0;
         for (let i = 0; i < this.rows; i++) {
-            for (let j = 0; j < this.cols; j++) {
-                let val = this.data[i][j];
-                this.data[i][j] = func(val, i, j);
+            for (let j = 0; j < this.cols; j++, k++) {
+                values[k] = func(values[k], i, j);
             }
         }
         return this;
@@ -135,17 +369,19 @@ class Matrix {
 
     static map(matrix, func) {
         if (!(matrix instanceof Matrix)) throw new TypeError("Matrix.map expects a Matrix.");
-        return new Matrix(matrix.rows, matrix.cols)
-            .map((_, i, j) => func(matrix.data[i][j], i, j));
+        return matrix.copy().map(func);
     }
 
     print() {
-        console.table(this.data);
+        console.table(this.toRows());
         return this;
     }
 
+    /**
+     * Serializes to the nested { rows, cols, data } layout, so saved models stay readable by older versions.
+     */
     serialize() {
-        return JSON.stringify(this);
+        return JSON.stringify({ rows: this.rows, cols: this.cols, data: this.toRows() });
     }
 
     static deserialize(data) {
@@ -0,0 +1,103 @@
+// metrics.js - Classification metrics: accuracy, precision, recall, F1 and confusion matrices
+
+/**
+ * The index of the largest value.
+ */
+function argmax(values) {
+    return values.indexOf(Math.max(...values));
+}
+
+/**
+ * Precision, recall and F1 from the rows in each cell of a one-vs-rest confusion matrix.
+ * A ratio whose denominator is 0 (no positive predictions, or no positive rows) is null.
+ */
+function scores(cells) {
+    const tp = cells.tp.length, fp = cells.fp.length, fn = cells.fn.length;
+    const precision = tp + fp > 0 ? tp / (tp + fp) : null;
+    const recall = tp + fn > 0 ? tp / (tp + fn) : null;
+    let f1 = null;
+    if (precision !== null && recall !== null) {
+        f1 = precision + recall > 0 ? 2 * precision * recall / (precision + recall) : 0;
+    }
+    return { precision, recall, f1, support: tp + fn, cells };
+}
+
+/**
+ * The mean of a score over the outputs it is defined for, or null when it is defined for none.
+ */
+function macroAverage(perOutput, key) {
+    const values = perOutput.map(output => output[key]).filter(value => value !== null);
+    return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+/**
+ * Evaluates a network as a classifier.
+ *
+ * Softmax networks with several outputs are scored as one class per row: the predicted class is the largest output
+ * and the actual class the largest target, counted in a confusion matrix. Other networks are scored per output
+ * (multi-label): an output predicts 1 when it is at least the threshold, and a row is correct when every output is.
+ * @param {NeuralNetwork} nn - The network to evaluate.
+ * @param {Array<Object>} rows - The rows ({ inputs, targets }) to evaluate.
+ * @param {Object} options - { threshold }: the decision threshold of multi-label outputs (default 0.5).
+ * @returns {Object|null} null when there are no rows or a target is not 0 or 1. Otherwise { type ('multiclass' or
+ * 'multilabel'), count, correct, accuracy, threshold, perOutput, macro, confusion }. perOutput has one
+ * { precision, recall, f1, support, cells } per output (one-vs-rest for multiclass), where cells lists the positions
+ * in `rows` of the true/false positives and negatives ({ tp, fp, fn, tn }). confusion[actual][predicted] lists the
+ * positions of the rows of each cell, and is null for multi-label networks.
+ */
+export function classificationMetrics(nn, rows, options = {}) {
+    const { threshold = 0.5 } = options;
+    if (rows.length === 0 || !rows.every(row => row.targets.every(t => t === 0 || t === 1))) {
+        return null;
+    }
+    const outputs = rows.map(row => nn.predict(row.inputs));
+    const outputActivation = nn.activation_functions[nn.activation_functions.length - 1].name;
+    const classes = nn.output_nodes;
+
+    const multiclass = outputActivation === 'softmax' && classes > 1;
+    const perOutput = [];
+    let confusion = null, correct;
+
+    if (multiclass) {
+        confusion = Array.from({ length: classes }, () => Array.from({ length: classes }, () => []));
+        rows.forEach((row, i) => confusion[argmax(row.targets)][argmax(outputs[i])].push(i));
+        for (let k = 0; k < classes; k++) {
+            const cells = { tp: confusion[k][k], fp: [], fn: [], tn: [] };
+            for (let actual = 0; actual < classes; actual++) {
+                for (let predicted = 0; predicted < classes; predicted++) {
+                    if (actual === k && predicted === k) continue;
+                    const cell = actual === k ? cells.fn : predicted === k ? cells.fp : cells.tn;
+                    cell.push(...confusion[actual][predicted]);
+                }
+            }
+            perOutput.push(scores(cells));
+        }
+        correct = confusion.reduce((sum, row, k) => sum + row[k].length, 0);
+    } else {
+        for (let k = 0; k < classes; k++) {
+            const cells = { tp: [], fp: [], fn: [], tn: [] };
+            rows.forEach((row, i) => {
+                const predicted = outputs[i][k] >= threshold;
+                const actual = row.targets[k] === 1;
+                cells[predicted ? (actual ? 'tp' : 'fp') : (actual ? 'fn' : 'tn')].push(i);
+            });
+            perOutput.push(scores(cells));
+        }
+        correct = rows.filter((row, i) => row.targets.every((t, k) => (outputs[i][k] >= threshold ? 1 : 0) === t)).length;
+    }
+
+    return {
+        type: multiclass ? 'multiclass' : 'multilabel',
+        count: rows.length,
+        correct,
+        accuracy: correct / rows.length,
+        threshold,
+        perOutput,
+        macro: {
+            precision: macroAverage(perOutput, 'precision'),
+            recall: macroAverage(perOutput, 'recall'),
+            f1: macroAverage(perOutput, 'f1')
+        },
+        confusion
+    };
+}
@@ -23,10 +23,14 @@ class NNvisual {
         this.h = h_;
         this.nn = nn_;
         this.showinfobox = options.showinfobox !== undefined ? options.showinfobox : true;
+        this.showDropout = options.showDropout !== undefined ? options.showDropout : true;
 
         this.initializeSizing();
         this.selectedNode = null;
         this.activations = null;
+        this.backpropStep = null;
+        this.backpropStart = 0;
+        this.BACKPROP_STAGE_MS = options.backpropStageMs !== undefined ? options.backpropStageMs : 900;
         this.nodePositions = this.calculateLayerPositions();
         this.biasNodePositions = this.calculateBiasPositions();
 
@@ -41,6 +45,8 @@ class NNvisual {
         this.HEATMAP_POSITIVE_COLOR = color(255, 100, 100);
         this.HEATMAP_NEGATIVE_COLOR = color(100, 100, 255);
         this.TEXT_COLOR = color(220);
+        // Kept as components, since the marker's alpha varies
+        this.DROPPED_RGB = [255, 80, 80];
     }
 
     /**
@@ -55,6 +61,19 @@ class NNvisual {
         this.NODE_HEIGHT = this.r * 1.5;
         this.NODE_GAP = this.r * 1.5;
     }
+
+    /**
+     * Switches the network being drawn, e.g. to a historical snapshot of the same network.
+     * @param {NeuralNetwork} nn_ - The network to visualize.
+     */
+    setNetwork(nn_) {
+        this.nn = nn_;
+        this.backpropStep = null;
+        this.initializeSizing();
+        this.nodePositions = this.calculateLayerPositions();
+        this.biasNodePositions = this.calculateBiasPositions();
+    }
+
     resize(newW, newH) {
         this.w = newW;
         this.h = newH;
@@ -203,6 +222,10 @@ class NNvisual {
 
     show(inputs, outputs, currentInputIndex = null) {
         this.drawBoundingBox();
+        if (this.backpropStep) {
+            this.showBackprop();
+            return;
+        }
         if (typeof this.nn.feedForwardAllLayers !== 'function') {
             console.error("Error: The provided 'nn' object does not have the 'feedForwardAllLayers' method.");
             return;
@@ -214,6 +237,142 @@ class NNvisual {
         this.drawNodes();
     }
 
+    /**
+     * Switches to the backpropagation view of a single training step, as returned by NeuralNetwork.train().
+     * The backward pass is animated one layer at a time from the output to the input.
+     * Pass null to return to the normal view.
+     * @param {Object|null} step - { activations_list, deltas, weightGradients, biasGradients, delta_weights, delta_biases }.
+     */
+    setBackpropStep(step) {
+        this.backpropStep = step;
+        this.backpropStart = millis();
+    }
+
+    /**
+     * Draws the backward pass: node colours and labels show each node's error delta (dLoss/dz),
+     * connection colour and thickness show the sign and relative size of dLoss/dw.
+     * Red is positive and blue negative; a positive gradient means the weight was decreased.
+     */
+    showBackprop() {
+        const step = this.backpropStep;
+        const numWeightLayers = step.deltas.length;
+        this.activations = step.activations_list;
+
+        // Stage 0 reveals the output deltas, stage s the connections into node layer L - s + 1 and the deltas of layer L - s
+        const progress = (millis() - this.backpropStart) / this.BACKPROP_STAGE_MS;
+        const stage = Math.min(Math.floor(progress), numWeightLayers + 1);
+        const stageProgress = stage > numWeightLayers ? 1 : progress - stage;
+
+        for (let l = 0; l < numWeightLayers; l++) {
+            const connectionStage = numWeightLayers - l;
+            if (stage < connectionStage) continue;
+            this.drawGradientConnections(l, stage === connectionStage ? stageProgress : 1);
+        }
+
+        for (let layer = 0; layer < this.nodePositions.length; layer++) {
+            const nodeStage = this.nodePositions.length - 1 - layer;
+            this.drawDeltaNodes(layer, layer > 0 && stage >= nodeStage);
+        }
+        this.drawBiasNodes();
+        this.drawBackpropCaption(Math.min(stage, numWeightLayers));
+    }
+
+    /**
+     * Draws the connections of weight layer l coloured by gradient. While the layer is being revealed,
+     * the connections fade in and a particle runs along each one backwards, from the later node to the earlier one.
+     */
+    drawGradientConnections(l, reveal) {
+        const step = this.backpropStep;
+        const gradients = step.weightGradients[l];
+        const biasGradients = step.biasGradients[l];
+        const maxGradient = Math.max(this.maxAbs(gradients), this.maxAbs(biasGradients), 1e-12);
+        const fromNodes = this.nodePositions[l];
+        const toNodes = this.nodePositions[l + 1];
+
+        for (let j = 0; j < toNodes.length; j++) {
+            this.drawGradientConnection(toNodes[j], this.biasNodePositions[l], biasGradients.get(j, 0) / maxGradient, reveal);
+            for (let i = 0; i < fromNodes.length; i++) {
+                this.drawGradientConnection(toNodes[j], fromNodes[i], gradients.get(j, i) / maxGradient, reveal);
+            }
+        }
+    }
+
+    drawGradientConnection(fromPos, toPos, relativeGradient, reveal) {
+        const magnitude = abs(relativeGradient);
+        const target = relativeGradient > 0 ? this.HEATMAP_POSITIVE_COLOR : this.HEATMAP_NEGATIVE_COLOR;
+        const connectionColor = lerpColor(this.CONNECTION_NEUTRAL_COLOR, target, magnitude);
+        connectionColor.setAlpha(map(reveal, 0, 1, 0, 80 + 175 * magnitude));
+
+        strokeWeight(map(magnitude, 0, 1, 0.5, 5));
+        stroke(connectionColor);
+        line(fromPos.x, fromPos.y, toPos.x, toPos.y);
+
+        if (reveal < 1) {
+            noStroke();
+            fill(target);
+            ellipse(lerp(fromPos.x, toPos.x, reveal), lerp(fromPos.y, toPos.y, reveal), 4 + 4 * magnitude);
+        }
+    }
+
+    /**
+     * Draws one layer of nodes. Revealed nodes are coloured by delta relative to the largest delta in the layer;
+     * input nodes and nodes the backward pass has not reached yet show their activation in grey.
+     */
+    drawDeltaNodes(layer, revealed) {
+        const delta = layer > 0 ? this.backpropStep.deltas[layer - 1] : null;
+        const maxDelta = delta ? Math.max(this.maxAbs(delta), 1e-12) : 1;
+
+        for (let i = 0; i < this.nodePositions[layer].length; i++) {
+            const pos = this.nodePositions[layer][i];
+            let nodeColor = this.NEUTRAL_COLOR;
+            let label = nf(this.activations[layer].get(i, 0), 1, 2);
+            if (revealed) {
+                const d = delta.get(i, 0);
+                const target = d > 0 ? this.HEATMAP_POSITIVE_COLOR : this.HEATMAP_NEGATIVE_COLOR;
+                nodeColor = lerpColor(this.NEUTRAL_COLOR, target, abs(d) / maxDelta);
+                label = `δ${nf(d, 1, 3)}`;
+            }
+
+            noStroke();
+            fill(nodeColor);
+            ellipse(pos.x, pos.y, this.r * 2);
+            if (this.isSelected(layer, i, 'node')) {
+                this.highlightNode(pos);
+            }
+
+            fill(this.TEXT_COLOR);
+            textSize(this.r * (revealed ? 0.55 : 0.75));
+            stroke(0);
+            strokeWeight(this.r * 0.2);
+            textAlign(CENTER, CENTER);
+            text(label, pos.x, pos.y);
+            this.drawDroppedMarker(layer, i, pos);
+        }
+    }
+
+    drawBackpropCaption(stage) {
+        const numWeightLayers = this.backpropStep.deltas.length;
+        let caption = 'Backward pass: output error δ = ∂L/∂z';
+        if (stage > 0) {
+            const l = numWeightLayers - stage;
+            const maxUpdate = Math.max(this.maxAbs(this.backpropStep.delta_weights[l]), this.maxAbs(this.backpropStep.delta_biases[l]));
+            caption = `Backward pass: ∂L/∂w ${this.getLayerLabel(l)} → ${this.getLayerLabel(l + 1)}, largest |Δw| ${nf(maxUpdate, 1, 5)}`;
+        }
+        noStroke();
+        fill(this.TEXT_COLOR);
+        textSize(12);
+        textAlign(LEFT, TOP);
+        text(caption, this.x + 8, this.y + 8);
+    }
+
+    maxAbs(matrix) {
+        let m = 0;
+        for (const value of matrix.values) {
+            m = max(m, abs(value));
+        }
+        return m;
+    }
+
     drawBoundingBox() {
         noFill();
         stroke(255, 20);
@@ -249,14 +408,14 @@ class NNvisual {
 
             for (let j = 0; j < nextLayerNodes.length; j++) {
                 if (nodesInPath.has(`${l},${j}`)) {
-                    const biasWeight = biasConnectionsMatrix.data[j][0];
+                    const biasWeight = biasConnectionsMatrix.get(j, 0);
                     if (abs(biasWeight) > this.WEIGHT_THRESHOLD) {
                         this.drawConnectionAndParticle(this.biasNodePositions[l - 1], nextLayerNodes[j], biasWeight, 1);
                     }
 
                     for (let i = 0; i < prevLayerNodes.length; i++) {
-                        const weight = weightsMatrix.data[j][i];
-                        const activationStrength = (this.activations[l - 1] && this.activations[l - 1].data) ? this.activations[l - 1].data[i][0] : 0;
+                        const weight = weightsMatrix.get(j, i);
+                        const activationStrength = this.activations[l - 1] ? this.activations[l - 1].get(i, 0) : 0;
 
                         // Check if the current node is an input node with a non-zero value
                         const isInputNode = (l - 1 === 0);
@@ -283,15 +442,15 @@ class NNvisual {
 
             const biasConnectionsMatrix = this.nn.biases[l];
             for (let j = 0; j < nextLayerNodes.length; j++) {
-                const biasWeight = biasConnectionsMatrix.data[j][0];
+                const biasWeight = biasConnectionsMatrix.get(j, 0);
                 this.drawConnectionAndParticle(this.biasNodePositions[l], nextLayerNodes[j], biasWeight, 1);
             }
 
             const weightsMatrix = this.nn.weights[l];
             for (let i = 0; i < currentLayerNodes.length; i++) {
                 for (let j = 0; j < nextLayerNodes.length; j++) {
-                    const weight = weightsMatrix.data[j][i];
-                    const activationStrength = (this.activations[l] && this.activations[l].data) ? this.activations[l].data[i][0] : 0;
+                    const weight = weightsMatrix.get(j, i);
+                    const activationStrength = this.activations[l] ? this.activations[l].get(i, 0) : 0;
                     this.drawConnectionAndParticle(currentLayerNodes[i], nextLayerNodes[j], weight, activationStrength);
                 }
             }
@@ -352,7 +511,7 @@ class NNvisual {
             const layerNodes = this.nodePositions[l];
             for (let i = 0; i < layerNodes.length; i++) {
                 const pos = layerNodes[i];
-                const activationValue = (this.activations[l] && this.activations[l].data) ? this.activations[l].data[i][0] : 0;
+                const activationValue = this.activations[l] ? this.activations[l].get(i, 0) : 0;
                 let nodeColor;
 
                 if (activationValue > 0) {
@@ -375,14 +534,42 @@ class NNvisual {
                 strokeWeight(this.r * 0.2);
                 textAlign(CENTER, CENTER);
                 text(nf(activationValue, 1, 2), pos.x, pos.y);
+                this.drawDroppedMarker(l, i, pos);
             }
         }
     }
 
+    /**
+     * The fraction of the last training step's samples in which a hidden node was dropped out, or 0.
+     * @param {number} layer - The node layer (0 = input).
+     */
+    droppedFraction(layer, index) {
+        const dropped = this.nn.dropped_nodes;
+        if (!dropped || layer === 0 || !dropped[layer - 1]) return 0;
+        return dropped[layer - 1][index] || 0;
+    }
+
+    /**
+     * Crosses out a hidden node that dropout removed on the last training step, fainter when it was
+     * dropped for only some of the step's samples.
+     */
+    drawDroppedMarker(layer, index, pos) {
+        const fraction = this.droppedFraction(layer, index);
+        if (!this.showDropout || fraction === 0) return;
+        const markerColor = color(...this.DROPPED_RGB, 255 * fraction);
+        const d = this.r * 0.7;
+        noFill();
+        stroke(markerColor);
+        strokeWeight(3);
+        ellipse(pos.x, pos.y, this.r * 2);
+        line(pos.x - d, pos.y - d, pos.x + d, pos.y + d);
+        line(pos.x - d, pos.y + d, pos.x + d, pos.y - d);
+    }
+
     drawBiasNodes() {
         for (let l = 0; l < this.biasNodePositions.length; l++) {
             const pos = this.biasNodePositions[l];
-            const biasValue = this.nn.biases[l].data[0][0];
+            const biasValue = this.nn.biases[l].get(0, 0);
 
             fill(this.NEUTRAL_COLOR);
             stroke(biasValue > 0 ? color(100, 200, 100) : color(200, 100, 100));
@@ -452,13 +639,13 @@ class NNvisual {
         info.layerLabel = this.getLayerLabel(layer);
 
         if (type === 'node') {
-            info.activationValue = (this.activations[layer] && this.activations[layer].data) ? this.activations[layer].data[index][0] : 0;
+            info.activationValue = this.activations[layer] ? this.activations[layer].get(index, 0) : 0;
             info.activationFunctionName = layer > 0 ? (this.nn.activation_functions[layer - 1] ? this.nn.activation_functions[layer - 1].name : 'N/A') : 'N/A (Input)';
 
             if (layer > 0) {
-                let prevActivations = this.activations[layer - 1].data;
-                let weightsToThisNode = this.nn.weights[layer - 1].data[index];
-                let biasValue = this.nn.biases[layer - 1].data[index][0];
+                let prevActivations = this.activations[layer - 1];
+                let weightsToThisNode = this.nn.weights[layer - 1].row(index);
+                let biasValue = this.nn.biases[layer - 1].get(index, 0);
 
                 // Define the threshold here for consistency with the drawing logic
                 
@@ -466,7 +653,7 @@ class NNvisual {
                 let strongConnectionsCount = 0;
 
                 for (let i = 0; i < weightsToThisNode.length; i++) {
-                    let input = prevActivations[i][0];
+                    let input = prevActivations.get(i, 0);
                     let weight = weightsToThisNode[i];
                     weightedSum += input * weight;
                     inputDetails.push({ input: nf(input, 1, 2), weight: nf(weight, 1, 2) });
@@ -484,13 +671,20 @@ class NNvisual {
 
                 // Add the strong connections count to the info object
                 info.strongConnections = strongConnectionsCount;
+                if (layer < this.nodePositions.length - 1 && this.nn.dropped_nodes) {
+                    info.droppedFraction = this.droppedFraction(layer, index);
+                }
+
+                if (this.backpropStep) {
+                    info.backprop = this.getBackpropDetails(layer, index);
+                }
             }
         } else if (type === 'bias') {
             let nextLayerSize = this.nodePositions[layer].length;
-            let biases = this.nn.biases[layer - 1].data;
+            let biases = this.nn.biases[layer - 1];
             let biasWeights = [];
             for (let i = 0; i < nextLayerSize; i++) {
-                biasWeights.push({ node: i, weight: nf(biases[i][0], 1, 2) });
+                biasWeights.push({ node: i, weight: nf(biases.get(i, 0), 1, 2) });
             }
             info.biasValue = nf(1.0, 1, 2);
             info.biasWeights = biasWeights;
@@ -499,6 +693,29 @@ class NNvisual {
         return info;
     }
 
+    /**
+     * Collects the delta of a node and, for each incoming connection and its bias,
+     * the gradient and the weight change the step applied.
+     */
+    getBackpropDetails(layer, index) {
+        const step = this.backpropStep;
+        const l = layer - 1;
+        const weightsAfter = this.nn.weights[l].row(index);
+        const connections = weightsAfter.map((after, i) => ({
+            input: i,
+            gradient: step.weightGradients[l].get(index, i),
+            update: step.delta_weights[l].get(index, i),
+            before: after - step.delta_weights[l].get(index, i),
+            after
+        }));
+        return {
+            delta: step.deltas[l].get(index, 0),
+            biasGradient: step.biasGradients[l].get(index, 0),
+            biasUpdate: step.delta_biases[l].get(index, 0),
+            connections
+        };
+    }
+
     getLayerLabel(layer) {
         if (layer === 0) return 'Input';
         if (layer === this.nodePositions.length - 1) return 'Output';
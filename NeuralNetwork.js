@@ -1,27 +1,35 @@
+// neuralNetwork.js - Feed-forward network with backpropagation, independent of p5 and the page
+
+import { Matrix } from './Matrix.js';
+import { Optimizer, optimizers, createOptimizer } from './Optimizer.js';
+import { Random } from './Random.js';
+import { initializers, biasInitializers, parseInitializer, initialize } from './Initializers.js';
+import { LearningRateSchedule, schedules, createSchedule } from './LearningRateSchedule.js';
+
 // === Activation Functions and Derivatives ===
-function sigmoid(x) {
+export function sigmoid(x) {
     if (typeof x !== "number") throw new TypeError("sigmoid expects a number");
     // Prevent overflow
     if (x < -709) return 0; // Math.exp(-709) is smallest nonzero double
     return 1 / (1 + Math.exp(-x));
 }
 
-function relu(x) {
+export function relu(x) {
     if (typeof x !== "number") throw new TypeError("relu expects a number");
     return Math.max(0, x);
 }
 
-function tanh(x) {
+export function tanh(x) {
     if (typeof x !== "number") throw new TypeError("tanh expects a number");
     return Math.tanh(x);
 }
 
-function identity(x) {
+export function identity(x) {
     if (typeof x !== "number") throw new TypeError("identity expects a number");
     return x;
 }
 
-function softmax(arr) {
+export function softmax(arr) {
     if (!Array.isArray(arr)) throw new TypeError("softmax expects an array");
     if (arr.length === 0) throw new Error("softmax cannot be applied to empty array");
 
@@ -37,9 +45,64 @@ function softmax(arr) {
     return exps.map(x => x / sum);
 }
 
-const activations = { sigmoid, relu, tanh, identity, softmax };
+const LEAKY_RELU_SLOPE = 0.01;
+const ELU_ALPHA = 1.0;
+// The constants that make SELU self-normalising (Klambauer et al., 2017)
+const SELU_ALPHA = 1.6732632423543772;
+const SELU_SCALE = 1.0507009873554805;
+const GELU_SCALE = Math.sqrt(2 / Math.PI);
+const GELU_CUBIC = 0.044715;
+
+export function leakyRelu(x) {
+    if (typeof x !== "number") throw new TypeError("leakyRelu expects a number");
+    return x > 0 ? x : LEAKY_RELU_SLOPE * x;
+}
+
+export function elu(x) {
+    if (typeof x !== "number") throw new TypeError("elu expects a number");
+    return x > 0 ? x : ELU_ALPHA * Math.expm1(x);
+}
+
+export function selu(x) {
+    if (typeof x !== "number") throw new TypeError("selu expects a number");
+    return SELU_SCALE * (x > 0 ? x : SELU_ALPHA * Math.expm1(x));
+}
+
+// The tanh approximation of x * Φ(x), as used by BERT and GPT-2
+export function gelu(x) {
+    if (typeof x !== "number") throw new TypeError("gelu expects a number");
+    return 0.5 * x * (1 + Math.tanh(GELU_SCALE * (x + GELU_CUBIC * x * x * x)));
+}
 
-const activation_derivatives = {
+export function softplus(x) {
+    if (typeof x !== "number") throw new TypeError("softplus expects a number");
+    // log(1 + e^x), rearranged so large x does not overflow
+    return x > 0 ? x + Math.log1p(Math.exp(-x)) : Math.log1p(Math.exp(x));
+}
+
+export function swish(x) {
+    if (typeof x !== "number") throw new TypeError("swish expects a number");
+    return x * sigmoid(x);
+}
+
+// The piecewise-linear sigmoid of Keras and TensorFlow.js
+export function hardSigmoid(x) {
+    if (typeof x !== "number") throw new TypeError("hardSigmoid expects a number");
+    return Math.min(1, Math.max(0, 0.2 * x + 0.5));
+}
+
+export function sine(x) {
+    if (typeof x !== "number") throw new TypeError("sine expects a number");
+    return Math.sin(x);
+}
+
+export const activations = {
+    sigmoid, relu, tanh, identity, softmax,
+    leakyRelu, elu, selu, gelu, softplus, swish, hardSigmoid, sine
+};
+
+// Softmax is not element-wise, so its derivative is applied as a Jacobian product in backpropagateActivation
+export const activation_derivatives = {
     sigmoid: x => {
         let s = sigmoid(x);
         return s * (1 - s);
@@ -47,11 +110,89 @@ const activation_derivatives = {
     relu: x => (x > 0 ? 1 : 0),
     tanh: x => 1 - Math.pow(tanh(x), 2),
     identity: () => 1,
-    softmax: () => 1 // crude approximation for backprop, usually handled differently
+    leakyRelu: x => (x > 0 ? 1 : LEAKY_RELU_SLOPE),
+    elu: x => (x > 0 ? 1 : ELU_ALPHA * Math.exp(x)),
+    selu: x => SELU_SCALE * (x > 0 ? 1 : SELU_ALPHA * Math.exp(x)),
+    gelu: x => {
+        let t = Math.tanh(GELU_SCALE * (x + GELU_CUBIC * x * x * x));
+        return 0.5 * (1 + t) + 0.5 * x * (1 - t * t) * GELU_SCALE * (1 + 3 * GELU_CUBIC * x * x);
+    },
+    softplus: x => sigmoid(x),
+    swish: x => {
+        let s = sigmoid(x);
+        return s + x * s * (1 - s);
+    },
+    hardSigmoid: x => (Math.abs(x) < 2.5 ? 0.2 : 0),
+    sine: x => Math.cos(x)
+};
+
+// The activations registerActivation() may not replace
+const BUILT_IN_ACTIVATIONS = Object.keys(activations);
+// Called with (name, fn, derivative) whenever an activation is registered
+const activationListeners = [];
+// The activations added with registerActivation(), by name, as { name, fn, derivative }
+const customActivations = new Map();
+
+// === Loss Functions and Derivatives ===
+// Every loss takes (outputs, targets) arrays; derivatives return dLoss/dOutput for each output.
+const LOSS_EPSILON = 1e-12;
+const HUBER_DELTA = 1.0;
+
+function clampProbability(p) {
+    return Math.min(1 - LOSS_EPSILON, Math.max(LOSS_EPSILON, p));
+}
+
+export function mse(outputs, targets) {
+    let sum = 0;
+    for (let i = 0; i < outputs.length; i++) {
+        sum += Math.pow(targets[i] - outputs[i], 2);
+    }
+    return sum / outputs.length;
+}
+
+export function binaryCrossEntropy(outputs, targets) {
+    let sum = 0;
+    for (let i = 0; i < outputs.length; i++) {
+        let p = clampProbability(outputs[i]);
+        sum -= targets[i] * Math.log(p) + (1 - targets[i]) * Math.log(1 - p);
+    }
+    return sum / outputs.length;
+}
+
+export function categoricalCrossEntropy(outputs, targets) {
+    let sum = 0;
+    for (let i = 0; i < outputs.length; i++) {
+        sum -= targets[i] * Math.log(clampProbability(outputs[i]));
+    }
+    return sum;
+}
+
+export function huber(outputs, targets) {
+    let sum = 0;
+    for (let i = 0; i < outputs.length; i++) {
+        let r = Math.abs(outputs[i] - targets[i]);
+        sum += r <= HUBER_DELTA ? 0.5 * r * r : HUBER_DELTA * (r - 0.5 * HUBER_DELTA);
+    }
+    return sum / outputs.length;
+}
+
+export const losses = { mse, binaryCrossEntropy, categoricalCrossEntropy, huber };
+
+export const loss_derivatives = {
+    mse: (outputs, targets) => outputs.map((o, i) => 2 * (o - targets[i]) / outputs.length),
+    binaryCrossEntropy: (outputs, targets) => outputs.map((o, i) => {
+        let p = clampProbability(o);
+        return (p - targets[i]) / (p * (1 - p) * outputs.length);
+    }),
+    categoricalCrossEntropy: (outputs, targets) => outputs.map((o, i) => -targets[i] / clampProbability(o)),
+    huber: (outputs, targets) => outputs.map((o, i) => {
+        let r = o - targets[i];
+        return (Math.abs(r) <= HUBER_DELTA ? r : HUBER_DELTA * Math.sign(r)) / outputs.length;
+    })
 };
 
 // === NeuralNetwork Class ===
-class NeuralNetwork {
+export class NeuralNetwork {
     constructor(in_nodes, hidden_layers, out_nodes, options = {}) {
         // Handle copy constructor case
         if (in_nodes instanceof NeuralNetwork) {
@@ -64,6 +205,14 @@ class NeuralNetwork {
             this.setLearningRate(a.learning_rate);
             this.setActivationFunctions(a.activation_functions.map(func => func.name));
             this.taskType = a.taskType;
+            this.setLoss(a.loss.name);
+            this.optimizer = a.optimizer.copy();
+            this.schedule = a.schedule.copy();
+            this.random = a.random.copy();
+            this.setInitializers(a.weight_initializers, a.bias_initializer);
+            this.setRegularization(a.l1, a.l2);
+            this.setDropout(a.dropout_rates);
+            this.dropped_nodes = null;
             this.debug = a.debug;
             return;
         }
@@ -80,6 +229,9 @@ class NeuralNetwork {
         this.output_nodes = out_nodes;
         this.taskType = options.taskType || 'regression';
         this.debug = options.debug || false;
+        // Every random choice the network and its training make comes from this generator,
+        // so the same seed reproduces a run exactly
+        this.random = new Random(options.seed);
 
         this.weights = [];
         this.biases = [];
@@ -98,13 +250,20 @@ class NeuralNetwork {
         this.weights.push(new Matrix(out_nodes, this.hidden_layers[this.hidden_layers.length - 1]));
         this.biases.push(new Matrix(out_nodes, 1));
 
-        this.weights.forEach(w => w.randomize());
-        this.biases.forEach(b => b.randomize());
+        this.setInitializers(options.weightInitializers, options.biasInitializer);
+        this.initializeParameters();
 
         this.setLearningRate(options.learning_rate || 0.01);
         this.setActivationFunctions(options.activationFunctions);
+        this.setLoss(options.loss);
+        this.setOptimizer(options.optimizer);
+        this.setSchedule(options.schedule);
+        this.setRegularization(options.l1, options.l2);
+        this.setDropout(options.dropout);
 
         this.lastInputs = [];
+        // Per hidden layer, the fraction of the last training step's samples in which each node was dropped
+        this.dropped_nodes = null;
 
         if (this.debug) {
             console.log("--- Neural Network Debug Info ---");
@@ -112,8 +271,16 @@ class NeuralNetwork {
             console.log("Hidden Layers:", this.hidden_layers);
             console.log("Output Nodes:", this.output_nodes);
             console.log("Learning Rate:", this.learning_rate);
+            console.log("Seed:", this.random.seed);
             console.log("Task Type:", this.taskType);
             console.log("Activation Functions:", this.activation_functions.map(f => f.name));
+            console.log("Weight Initializers:", this.weight_initializers.map(s => parseInitializer(s).name));
+            console.log("Bias Initializer:", parseInitializer(this.bias_initializer).name);
+            console.log("Loss Function:", this.loss.name);
+            console.log("Optimizer:", this.optimizer.name);
+            console.log("Learning Rate Schedule:", this.schedule.name);
+            console.log("L1 / L2:", this.l1, this.l2);
+            console.log("Dropout Rates:", this.dropout_rates);
             console.log("Number of Weights Matrices:", this.weights.length);
             console.log("Number of Bias Vectors:", this.biases.length);
             console.log("---------------------------------");
@@ -129,6 +296,127 @@ class NeuralNetwork {
         }
     }
 
+    /**
+     * Sets the optimizer used by train(). Any previous optimizer state is discarded.
+     * @param {string|Object} optimizer - A registry name such as "adam", or { name, ...hyperparameters }.
+     */
+    setOptimizer(optimizer = "sgd") {
+        let { name, ...hyperparameters } = typeof optimizer === "string" ? { name: optimizer } : optimizer;
+        if (!optimizers[name]) {
+            console.warn(`Warning: Unknown optimizer "${name}". Defaulting to sgd.`);
+            name = "sgd";
+        }
+        this.optimizer = createOptimizer(name, hyperparameters);
+    }
+
+    /**
+     * Chooses how initializeParameters() fills the weights and biases. Unknown initializers, and biases set to one
+     * that is not in biasInitializers, fall back to "default".
+     * @param {string|Object|Array} weightInitializers - One initializer setting for every layer, or an array with
+     * one per layer (hidden layers, then the output layer). A setting is a registry name such as "heNormal",
+     * or { name, ...options }.
+     * @param {string|Object} biasInitializer - The setting used for every bias vector: one of biasInitializers.
+     */
+    setInitializers(weightInitializers = "default", biasInitializer = "default") {
+        const layerCount = this.hidden_layers.length + 1;
+        const checked = (setting) => {
+            const { name } = parseInitializer(setting);
+            if (initializers[name]) return setting;
+            console.warn(`Warning: Unknown initializer "${name}". Defaulting.`);
+            return "default";
+        };
+
+        let settings = weightInitializers;
+        if (!Array.isArray(settings)) {
+            settings = Array(layerCount).fill(settings);
+        } else if (settings.length !== layerCount) {
+            console.warn(`Warning: Expected ${layerCount} weight initializers, got ${settings.length}. Defaulting.`);
+            settings = Array(layerCount).fill("default");
+        }
+        this.weight_initializers = settings.map(checked);
+        this.bias_initializer = checked(biasInitializer);
+        const biasName = parseInitializer(this.bias_initializer).name;
+        if (!biasInitializers.includes(biasName)) {
+            console.warn(`Warning: The "${biasName}" initializer is not meant for biases. Defaulting.`);
+            this.bias_initializer = "default";
+        }
+    }
+
+    /**
+     * Refills every weight matrix and bias vector from the initializers, drawing from the network's Random.
+     */
+    initializeParameters() {
+        this.weights.forEach((w, l) => initialize(w, this.weight_initializers[l], this.random));
+        this.biases.forEach(b => initialize(b, this.bias_initializer, this.random));
+    }
+
+    /**
+     * Sets the weight penalties l1 * sum|w| + l2 / 2 * sum w^2, which are added to the loss and to the weight
+     * gradients of every training step. Biases are not penalised.
+     * @param {number} l1 - The L1 strength; 0 turns it off.
+     * @param {number} l2 - The L2 strength (weight decay); 0 turns it off.
+     */
+    setRegularization(l1 = 0, l2 = 0) {
+        const checked = (value, name) => {
+            if (typeof value === "number" && value >= 0) return value;
+            console.warn(`Warning: Invalid ${name} provided. Defaulting to 0.`);
+            return 0;
+        };
+        this.l1 = checked(l1, "l1");
+        this.l2 = checked(l2, "l2");
+    }
+
+    /**
+     * Sets the dropout rate of each hidden layer: the probability that train() and trainBatch() drop a node
+     * for a sample. The surviving nodes are scaled by 1 / (1 - rate) (inverted dropout), so predict() and
+     * feedForwardAllLayers() use every node unscaled.
+     * @param {number|Array<number>} rates - One rate for every hidden layer, or one per hidden layer, in [0, 1).
+     */
+    setDropout(rates = 0) {
+        const layerCount = this.hidden_layers.length;
+        let checkedRates = Array.isArray(rates) ? rates : Array(layerCount).fill(rates);
+        if (checkedRates.length !== layerCount || !checkedRates.every(rate => typeof rate === "number" && rate >= 0 && rate < 1)) {
+            console.warn(`Warning: Expected ${layerCount} dropout rates in [0, 1). Defaulting to no dropout.`);
+            checkedRates = Array(layerCount).fill(0);
+        }
+        this.dropout_rates = [...checkedRates];
+    }
+
+    /**
+     * The penalty term of the loss from the L1 and L2 strengths.
+     */
+    regularizationLoss() {
+        if (this.l1 === 0 && this.l2 === 0) return 0;
+        let sumAbs = 0, sumSquares = 0;
+        for (const w of this.weights) {
+            for (const value of w.values) {
+                sumAbs += Math.abs(value);
+                sumSquares += value * value;
+            }
+        }
+        return this.l1 * sumAbs + this.l2 / 2 * sumSquares;
+    }
+
+    /**
+     * Sets how the learning rate changes during training. Any previous schedule state is discarded.
+     * @param {string|Object} schedule - A registry name such as "cosine", or { name, ...parameters }.
+     */
+    setSchedule(schedule = "constant") {
+        let { name, ...parameters } = typeof schedule === "string" ? { name: schedule } : schedule;
+        if (!schedules[name]) {
+            console.warn(`Warning: Unknown learning rate schedule "${name}". Defaulting to constant.`);
+            name = "constant";
+        }
+        this.schedule = createSchedule(name, parameters);
+    }
+
+    /**
+     * The learning rate the next training step uses: the configured rate scaled by the schedule.
+     */
+    currentLearningRate() {
+        return this.schedule.rate(this.learning_rate);
+    }
+
     setActivationFunctions(funcNames) {
         const expectedLength = this.hidden_layers.length + 1;
 
@@ -157,6 +445,17 @@ class NeuralNetwork {
         this.activation_functions = functionsToSet;
     }
 
+    setLoss(lossName) {
+        if (lossName === undefined) {
+            lossName = this.taskType === "classification" ? "binaryCrossEntropy" : "mse";
+        }
+        if (!losses[lossName]) {
+            console.warn(`Warning: Unknown loss function "${lossName}". Defaulting to mse.`);
+            lossName = "mse";
+        }
+        this.loss = losses[lossName];
+    }
+
     feedForwardAllLayers(input_array) {
         if (!Array.isArray(input_array)) throw new TypeError("feedForwardAllLayers expects an array of numbers");
         let activations_list = [];
@@ -214,67 +513,229 @@ class NeuralNetwork {
         return sumSquaredError / outputs.length; // Return average error
     }
 
-    train(input_array, target_array) {
-        if (!Array.isArray(input_array) || !Array.isArray(target_array)) {
-            throw new TypeError("train expects arrays for input and target");
+    /**
+     * The loss of one sample, including the weight penalty, so averages over samples include it once.
+     */
+    calculateLoss(outputs, targets) {
+        if (!Array.isArray(outputs) || !Array.isArray(targets) || outputs.length !== targets.length) {
+            throw new Error("calculateLoss: outputs and targets must be arrays of the same length.");
         }
-        if (target_array.length !== this.output_nodes) {
-            throw new Error(`train: target length ${target_array.length} does not match output_nodes ${this.output_nodes}`);
+        return this.loss(outputs, targets) + this.regularizationLoss();
+    }
+
+    /**
+     * Computes dLoss/dz for the output layer, one column per sample.
+     * Softmax + categorical cross-entropy and sigmoid + binary cross-entropy use their simplified closed forms.
+     * @param {Matrix} z - The output layer's weighted sums.
+     * @param {Matrix} output - The output layer's activations.
+     * @param {Matrix} targets - The targets, one column per sample.
+     * @returns {Matrix} The output layer delta.
+     */
+    calculateOutputDelta(z, output, targets) {
+        const l = this.activation_functions.length - 1;
+        const activationName = this.activation_functions[l].name;
+
+        if (activationName === 'softmax' && this.loss.name === 'categoricalCrossEntropy') {
+            const targetSums = Matrix.columnSums(targets);
+            return Matrix.map(output, (o, i, j) => o * targetSums.get(0, j) - targets.get(i, j));
+        }
+        if (activationName === 'sigmoid' && this.loss.name === 'binaryCrossEntropy') {
+            return Matrix.map(output, (o, i, j) => (o - targets.get(i, j)) / output.rows);
         }
 
-        let inputs = Matrix.fromArray(input_array);
-        let targets = Matrix.fromArray(target_array);
+        const targetColumns = targets.toColumns();
+        const lossGradient = Matrix.fromColumns(
+            output.toColumns().map((o, j) => loss_derivatives[this.loss.name](o, targetColumns[j]))
+        );
+        return this.backpropagateActivation(l, z, output, lossGradient);
+    }
 
+    /**
+     * Converts dLoss/da into dLoss/dz through layer l's activation function.
+     * @param {number} l - The index of the layer (0 = first hidden layer).
+     * @param {Matrix} z - The layer's weighted sums, one column per sample.
+     * @param {Matrix} activation - The layer's activations, one column per sample.
+     * @param {Matrix} gradient - dLoss/da for the layer.
+     * @returns {Matrix} dLoss/dz for the layer.
+     */
+    backpropagateActivation(l, z, activation, gradient) {
+        const func = this.activation_functions[l];
+        if (func.name === 'softmax') {
+            // Jacobian-vector product per sample: dz_j = s_j * (g_j - sum_k g_k * s_k)
+            const dots = Matrix.columnSums(Matrix.map(activation, (s, i, j) => s * gradient.get(i, j)));
+            return Matrix.map(activation, (s, i, j) => s * (gradient.get(i, j) - dots.get(0, j)));
+        }
+        const derivative = activation_derivatives[func.name] || (() => 1);
+        return Matrix.map(z, derivative).multiply(gradient);
+    }
+
+    /**
+     * Applies layer l's activation function to its weighted sums, one column per sample.
+     * @param {number} l - The index of the layer (0 = first hidden layer).
+     * @param {Matrix} z - The weighted sums.
+     * @returns {Matrix} The activations.
+     */
+    activate(l, z) {
+        if (this.activation_functions[l].name === 'softmax') {
+            let softmaxColumns = z.toColumns().map(column => this.activation_functions[l](column));
+            return Matrix.fromColumns(softmaxColumns);
+        }
+        return Matrix.map(z, this.activation_functions[l]);
+    }
+
+    /**
+     * Runs a forward pass over a matrix of samples, keeping every intermediate value for backpropagation.
+     * @param {Matrix} inputs - The inputs, one column per sample.
+     * @param {boolean} training - Whether to apply dropout to the hidden layers.
+     * @returns {{zs: Array<Matrix>, activations_list: Array<Matrix>, dropout_masks: Array<Matrix|null>}}
+     * The weighted sums and activations of each layer, and for each hidden layer that dropped nodes the mask
+     * its activations were multiplied by (0 for a dropped node, 1 / (1 - rate) for a kept one).
+     */
+    forwardPass(inputs, training = false) {
         let activations_list = [inputs];
         let zs = [];
+        let dropout_masks = [];
 
         let current = inputs;
         for (let i = 0; i < this.weights.length; i++) {
             let z = Matrix.multiply(this.weights[i], current);
-            z.add(this.biases[i]);
+            z.addColumnVector(this.biases[i]);
             zs.push(z);
 
-            if (this.activation_functions[i].name === 'softmax') {
-                let outputArray = z.toArray();
-                let softmaxOutput = this.activation_functions[i](outputArray);
-                current = Matrix.fromArray(softmaxOutput);
-            } else {
-                current = z.copy();
-                current.map(this.activation_functions[i]);
+            current = this.activate(i, z);
+            const rate = training && i < this.hidden_layers.length ? this.dropout_rates[i] : 0;
+            if (rate > 0) {
+                const keep = 1 / (1 - rate);
+                const mask = Matrix.map(current, () => (this.random.next() < rate ? 0 : keep));
+                current.multiply(mask);
+                dropout_masks.push(mask);
+            } else if (i < this.hidden_layers.length) {
+                dropout_masks.push(null);
             }
             activations_list.push(current);
         }
+        return { zs, activations_list, dropout_masks };
+    }
 
-        let output = activations_list[activations_list.length - 1];
-        let output_errors = (this.taskType === 'classification')
-            ? Matrix.subtract(output, targets) // cross-entropy would be better
-            : Matrix.subtract(targets, output);
+    /**
+     * Records, for the visualisation, which hidden nodes the masks of the last training step dropped.
+     */
+    recordDroppedNodes(dropout_masks) {
+        this.dropped_nodes = dropout_masks.map((mask, l) => {
+            if (!mask) return Array(this.hidden_layers[l]).fill(0);
+            return mask.toRows().map(row => row.filter(m => m === 0).length / row.length);
+        });
+    }
 
-        let error = output_errors;
-        for (let l = this.weights.length - 1; l >= 0; l--) {
-            let gradient = zs[l].copy();
-            gradient.map(activation_derivatives[this.activation_functions[l].name] || (() => 1));
+    /**
+     * Performs one update on a single sample.
+     * @param {Array<number>} input_array - The inputs.
+     * @param {Array<number>} target_array - The targets.
+     * @returns {Object} The intermediate values of the step (see trainBatch).
+     */
+    train(input_array, target_array) {
+        if (!Array.isArray(input_array) || !Array.isArray(target_array)) {
+            throw new TypeError("train expects arrays for input and target");
+        }
+        if (target_array.length !== this.output_nodes) {
+            throw new Error(`train: target length ${target_array.length} does not match output_nodes ${this.output_nodes}`);
+        }
 
-            gradient.multiply(error);
-            gradient.multiply(this.learning_rate);
+        let inputs = Matrix.fromArray(input_array);
+        let targets = Matrix.fromArray(target_array);
 
-            let prev_activation_T = Matrix.transpose(activations_list[l]);
-            let delta_weights = Matrix.multiply(gradient, prev_activation_T);
+        let { zs, activations_list, dropout_masks } = this.forwardPass(inputs, true);
+        let { weightGradients, biasGradients, deltas } = this.backpropagate(zs, activations_list, targets, dropout_masks);
+        let { delta_weights, delta_biases } = this.applyGradients(weightGradients, biasGradients);
+        this.recordDroppedNodes(dropout_masks);
+        return { zs, activations_list, deltas, weightGradients, biasGradients, delta_weights, delta_biases };
+    }
 
-            this.weights[l].add(delta_weights);
-            this.biases[l].add(gradient);
-            if (abs(this.weights[l]) < this.learning_rate) {
-                this.weights[l] = 0;
-            }
-            if (abs(this.biases[l]) < this.learning_rate) {
-                this.biases[l] = 0;
+    /**
+     * Performs one update using the mean gradient over a batch of samples.
+     * The whole batch is propagated at once as a matrix with one column per sample.
+     * @param {Array<Array<number>>} input_arrays - The inputs of each sample.
+     * @param {Array<Array<number>>} target_arrays - The targets of each sample.
+     * @returns {Object} The intermediate values of the step, indexed by layer: the weighted sums `zs`,
+     * `activations_list` (starting with the inputs), the error `deltas` (dLoss/dz), the gradients,
+     * and `delta_weights`/`delta_biases`, the change the optimizer actually applied.
+     */
+    trainBatch(input_arrays, target_arrays) {
+        if (!Array.isArray(input_arrays) || !Array.isArray(target_arrays) || input_arrays.length !== target_arrays.length) {
+            throw new TypeError("trainBatch expects arrays of inputs and targets with the same length");
+        }
+        if (input_arrays.length === 0) {
+            throw new Error("trainBatch: batch must contain at least one sample");
+        }
+        if (target_arrays.some(t => t.length !== this.output_nodes)) {
+            throw new Error(`trainBatch: every target must have length ${this.output_nodes}`);
+        }
+
+        let inputs = Matrix.fromColumns(input_arrays);
+        let targets = Matrix.fromColumns(target_arrays);
+
+        let { zs, activations_list, dropout_masks } = this.forwardPass(inputs, true);
+        let { weightGradients, biasGradients, deltas } = this.backpropagate(zs, activations_list, targets, dropout_masks);
+        let { delta_weights, delta_biases } = this.applyGradients(weightGradients, biasGradients);
+        this.recordDroppedNodes(dropout_masks);
+        return { zs, activations_list, deltas, weightGradients, biasGradients, delta_weights, delta_biases };
+    }
+
+    /**
+     * Computes the batch-mean dLoss/dW and dLoss/db for every layer from a forward pass.
+     * The weight gradients include the gradient of the L1 and L2 penalties.
+     * @param {Array<Matrix>} zs - The weighted sums of each layer.
+     * @param {Array<Matrix>} activations_list - The input followed by each layer's activations.
+     * @param {Matrix} targets - The targets, one column per sample.
+     * @param {Array<Matrix|null>} dropout_masks - The dropout mask of each hidden layer, from forwardPass().
+     * @returns {{weightGradients: Array<Matrix>, biasGradients: Array<Matrix>, deltas: Array<Matrix>}}
+     * The gradients and each layer's dLoss/dz, indexed by layer.
+     */
+    backpropagate(zs, activations_list, targets, dropout_masks = []) {
+        let last = this.weights.length - 1;
+        let batchSize = targets.cols;
+        let weightGradients = Array(this.weights.length);
+        let biasGradients = Array(this.biases.length);
+        let deltas = Array(this.weights.length);
+        let delta = this.calculateOutputDelta(zs[last], activations_list[last + 1], targets);
+
+        for (let l = last; l >= 0; l--) {
+            deltas[l] = delta;
+            weightGradients[l] = Matrix.multiplyTranspose(delta, activations_list[l]).multiply(1 / batchSize);
+            biasGradients[l] = Matrix.rowSums(delta).multiply(1 / batchSize);
+            if (this.l1 > 0 || this.l2 > 0) {
+                const w = this.weights[l].values;
+                const g = weightGradients[l].values;
+                for (let k = 0; k < g.length; k++) g[k] += this.l1 * Math.sign(w[k]) + this.l2 * w[k];
             }
 
             if (l !== 0) {
-                let weights_T = Matrix.transpose(this.weights[l]);
-                error = Matrix.multiply(weights_T, error);
+                let error = Matrix.transposeMultiply(this.weights[l], delta);
+                let activation = activations_list[l];
+                const mask = dropout_masks[l - 1];
+                if (mask) {
+                    // Dropped nodes pass no error back. Softmax's derivative needs the activations before masking.
+                    error.multiply(mask);
+                    activation = this.activate(l - 1, zs[l - 1]);
+                }
+                delta = this.backpropagateActivation(l - 1, zs[l - 1], activation, error);
             }
         }
+        return { weightGradients, biasGradients, deltas };
+    }
+
+    /**
+     * Lets the optimizer update the weights and biases.
+     * @returns {{delta_weights: Array<Matrix>, delta_biases: Array<Matrix>}} The change made to each layer.
+     */
+    applyGradients(weightGradients, biasGradients) {
+        let previousWeights = this.weights.map(w => w.copy());
+        let previousBiases = this.biases.map(b => b.copy());
+        this.optimizer.apply(this.weights, this.biases, weightGradients, biasGradients, this.currentLearningRate());
+        return {
+            delta_weights: this.weights.map((w, l) => Matrix.subtract(w, previousWeights[l], previousWeights[l])),
+            delta_biases: this.biases.map((b, l) => Matrix.subtract(b, previousBiases[l], previousBiases[l]))
+        };
     }
 
     copy() {
@@ -285,15 +746,16 @@ class NeuralNetwork {
         if (typeof rate !== "number" || rate < 0 || rate > 1) {
             throw new Error("mutate: rate must be a number between 0 and 1");
         }
+        const random = this.random;
         const mutateFunc = (val) => {
-            if (Math.random() < rate) {
-                const mutationType = Math.floor(Math.random() * 5);
+            if (random.next() < rate) {
+                const mutationType = random.integer(5);
                 switch (mutationType) {
-                    case 0: return val + randomGaussian(0, 0.1);
+                    case 0: return val + random.gaussian(0, 0.1);
                     case 1: return 0;
                     case 2: return -val;
-                    case 3: return Math.random() * 2 - 1;
-                    case 4: return val * (0.5 + Math.random());
+                    case 3: return random.next() * 2 - 1;
+                    case 4: return val * (0.5 + random.next());
                 }
             }
             return val;
@@ -319,39 +781,44 @@ class NeuralNetwork {
             return null;
         }
 
-        let child = new NeuralNetwork(parentA.input_nodes, parentA.hidden_layers, parentA.output_nodes);
+        // Parent A's generator makes every choice, and seeds the child's
+        const random = parentA.random;
+        let child = new NeuralNetwork(parentA.input_nodes, parentA.hidden_layers, parentA.output_nodes, {
+            seed: random.integer(0x100000000)
+        });
 
         // Loop through all weight matrices and perform uniform crossover
         for (let i = 0; i < parentA.weights.length; i++) {
             child.weights[i].map((val, row, col) => {
                 // Randomly choose a weight from either parent
-                if (Math.random() < 0.5) {
-                    return parentA.weights[i].data[row][col];
+                if (random.next() < 0.5) {
+                    return parentA.weights[i].get(row, col);
                 } else {
-                    return parentB.weights[i].data[row][col];
+                    return parentB.weights[i].get(row, col);
                 }
             });
 
             // Perform uniform crossover for biases
             child.biases[i].map((val, row, col) => {
-                if (Math.random() < 0.5) {
-                    return parentA.biases[i].data[row][col];
+                if (random.next() < 0.5) {
+                    return parentA.biases[i].get(row, col);
                 } else {
-                    return parentB.biases[i].data[row][col];
+                    return parentB.biases[i].get(row, col);
                 }
             });
         }
 
         // Inherit other properties from a random parent
-        if (Math.random() < 0.5) {
-            child.setLearningRate(parentA.learning_rate);
-            child.setActivationFunctions(parentA.activation_functions.map(f => f.name));
-            child.taskType = parentA.taskType;
-        } else {
-            child.setLearningRate(parentB.learning_rate);
-            child.setActivationFunctions(parentB.activation_functions.map(f => f.name));
-            child.taskType = parentB.taskType;
-        }
+        const parent = random.next() < 0.5 ? parentA : parentB;
+        child.setLearningRate(parent.learning_rate);
+        child.setActivationFunctions(parent.activation_functions.map(f => f.name));
+        child.taskType = parent.taskType;
+        child.setLoss(parent.loss.name);
+        child.setOptimizer({ name: parent.optimizer.name, ...parent.optimizer.options });
+        child.setSchedule({ name: parent.schedule.name, ...parent.schedule.options });
+        child.setInitializers(parent.weight_initializers, parent.bias_initializer);
+        child.setRegularization(parent.l1, parent.l2);
+        child.setDropout(parent.dropout_rates);
 
         return child;
     }
@@ -363,24 +830,94 @@ class NeuralNetwork {
             output_nodes: this.output_nodes,
             learning_rate: this.learning_rate,
             taskType: this.taskType,
+            loss: this.loss.name,
+            optimizer: this.optimizer.serialize(),
+            schedule: this.schedule.serialize(),
+            random: this.random.serialize(),
+            l1: this.l1,
+            l2: this.l2,
+            dropout_rates: this.dropout_rates,
+            weight_initializers: this.weight_initializers,
+            bias_initializer: this.bias_initializer,
             weights: this.weights.map(w => w.serialize()),
             biases: this.biases.map(b => b.serialize()),
             activation_functions: this.activation_functions.map(f => f.name)
         });
     }
 
+    /**
+     * Adds an element-wise activation function under a name that activationFunctions, the activation selects and
+     * serialized networks can use. Networks store activations by name, so a serialized network using one
+     * deserializes wherever the same name has been registered. Registering a name again replaces it.
+     * @param {string} name - The registry name. It may not be a built-in activation's.
+     * @param {Function} fn - Maps a weighted sum z to the activation.
+     * @param {Function} derivative - Maps z to the derivative of fn at z.
+     */
+    static registerActivation(name, fn, derivative) {
+        if (typeof name !== 'string' || name.length === 0) {
+            throw new Error("NeuralNetwork.registerActivation: name must be a non-empty string.");
+        }
+        if (BUILT_IN_ACTIVATIONS.includes(name)) {
+            throw new Error(`NeuralNetwork.registerActivation: "${name}" is a built-in activation.`);
+        }
+        if (typeof fn !== 'function' || typeof derivative !== 'function') {
+            throw new Error("NeuralNetwork.registerActivation: fn and derivative must be functions.");
+        }
+        // Layers are matched to their activation by the function's name, so the stored function takes the
+        // registry name. Matrix.map passes (value, row, col); only the value is passed on.
+        activations[name] = { [name]: x => fn(x) }[name];
+        activation_derivatives[name] = x => derivative(x);
+        customActivations.set(name, { name, fn, derivative });
+        activationListeners.forEach(listener => listener(name, fn, derivative));
+    }
+
+    /**
+     * Calls a listener with (name, fn, derivative) after each registerActivation().
+     * Activations registered earlier are not replayed; registeredActivations() lists them.
+     */
+    static addActivationListener(listener) {
+        activationListeners.push(listener);
+    }
+
+    /**
+     * The activations added with registerActivation(), in registration order, with the latest functions of each name.
+     * @returns {Array<{name: string, fn: Function, derivative: Function}>}
+     */
+    static registeredActivations() {
+        return [...customActivations.values()];
+    }
+
     static deserialize(data) {
         if (typeof data === 'string') data = JSON.parse(data);
         if (!data || !("input_nodes" in data)) {
             throw new Error("NeuralNetwork.deserialize: Invalid data format");
         }
+        const unknown = (data.activation_functions || []).find(name => !Object.hasOwn(activations, name));
+        if (unknown !== undefined) {
+            throw new Error(`NeuralNetwork.deserialize: Unknown activation "${unknown}"; register it with NeuralNetwork.registerActivation() first.`);
+        }
         let nn = new NeuralNetwork(data.input_nodes, data.hidden_layers, data.output_nodes, {
             taskType: data.taskType,
-            learning_rate: data.learning_rate
+            learning_rate: data.learning_rate,
+            loss: data.loss,
+            l1: data.l1,
+            l2: data.l2,
+            dropout: data.dropout_rates,
+            weightInitializers: data.weight_initializers,
+            biasInitializer: data.bias_initializer
         });
         nn.weights = data.weights.map(w => Matrix.deserialize(w));
         nn.biases = data.biases.map(b => Matrix.deserialize(b));
         nn.setActivationFunctions(data.activation_functions);
+        if (data.optimizer) {
+            nn.optimizer = Optimizer.deserialize(data.optimizer);
+        }
+        if (data.schedule) {
+            nn.schedule = LearningRateSchedule.deserialize(data.schedule);
+        }
+        if (data.random) {
+            nn.random = Random.deserialize(data.random);
+        }
         return nn;
     }
 }
@@ -0,0 +1,197 @@
+// optimizer.js - Gradient descent update rules with per-matrix state
+
+import { Matrix } from './Matrix.js';
+
+export class Optimizer {
+    /**
+     * @param {string} name - The registry name of the optimizer.
+     * @param {Object} options - Hyperparameters specific to the optimizer.
+     */
+    constructor(name, options = {}) {
+        this.name = name;
+        this.options = options;
+        this.t = 0;
+        this.state = {};
+    }
+
+    /**
+     * Applies one training step to every weight and bias matrix in place.
+     * @param {Array<Matrix>} weights - The network's weight matrices.
+     * @param {Array<Matrix>} biases - The network's bias vectors.
+     * @param {Array<Matrix>} weightGradients - dLoss/dW for each layer.
+     * @param {Array<Matrix>} biasGradients - dLoss/db for each layer.
+     * @param {number} learningRate - The step size.
+     */
+    apply(weights, biases, weightGradients, biasGradients, learningRate) {
+        this.t++;
+        for (let l = 0; l < weights.length; l++) {
+            this.updateParameter(`w${l}`, weights[l], weightGradients[l], learningRate);
+            this.updateParameter(`b${l}`, biases[l], biasGradients[l], learningRate);
+        }
+    }
+
+    /**
+     * Updates a single parameter matrix. Subclasses override this.
+     * @param {string} key - Identifies the matrix so its state persists between steps.
+     * @param {Matrix} param - The matrix to update in place.
+     * @param {Matrix} gradient - dLoss/dparam.
+     * @param {number} learningRate - The step size.
+     */
+    updateParameter(key, param, gradient, learningRate) {
+        throw new Error(`Optimizer.updateParameter: not implemented by ${this.name}`);
+    }
+
+    /**
+     * Returns the state matrix stored under key/slot, creating a zero matrix on first use.
+     */
+    getState(key, slot, param) {
+        if (!this.state[key]) this.state[key] = {};
+        let m = this.state[key][slot];
+        if (!m || m.rows !== param.rows || m.cols !== param.cols) {
+            m = new Matrix(param.rows, param.cols);
+            this.state[key][slot] = m;
+        }
+        return m;
+    }
+
+    reset() {
+        this.t = 0;
+        this.state = {};
+    }
+
+    copy() {
+        return Optimizer.deserialize(this.serialize());
+    }
+
+    serialize() {
+        let state = {};
+        for (const key in this.state) {
+            state[key] = {};
+            for (const slot in this.state[key]) {
+                state[key][slot] = this.state[key][slot].serialize();
+            }
+        }
+        return JSON.stringify({ name: this.name, options: this.options, t: this.t, state });
+    }
+
+    static deserialize(data) {
+        if (typeof data === 'string') data = JSON.parse(data);
+        if (!data || !("name" in data)) {
+            throw new Error("Optimizer.deserialize: Invalid data format.");
+        }
+        let optimizer = createOptimizer(data.name, data.options);
+        optimizer.t = data.t || 0;
+        for (const key in data.state || {}) {
+            optimizer.state[key] = {};
+            for (const slot in data.state[key]) {
+                optimizer.state[key][slot] = Matrix.deserialize(data.state[key][slot]);
+            }
+        }
+        return optimizer;
+    }
+}
+
+export class SGD extends Optimizer {
+    constructor(options = {}) {
+        super('sgd', options);
+    }
+
+    updateParameter(key, param, gradient, learningRate) {
+        const p = param.values, g = gradient.values;
+        for (let k = 0; k < p.length; k++) {
+            p[k] -= learningRate * g[k];
+        }
+    }
+}
+
+export class Momentum extends Optimizer {
+    constructor(options = {}) {
+        super('momentum', { momentum: 0.9, ...options });
+    }
+
+    updateParameter(key, param, gradient, learningRate) {
+        const mu = this.options.momentum;
+        const velocity = this.getState(key, 'velocity', param);
+        const v = velocity.values, g = gradient.values;
+        for (let k = 0; k < v.length; k++) {
+            v[k] = mu * v[k] - learningRate * g[k];
+        }
+        param.add(velocity);
+    }
+}
+
+export class Nesterov extends Optimizer {
+    constructor(options = {}) {
+        super('nesterov', { momentum: 0.9, ...options });
+    }
+
+    updateParameter(key, param, gradient, learningRate) {
+        // Look-ahead form: p += -mu * v_prev + (1 + mu) * v
+        const mu = this.options.momentum;
+        const velocity = this.getState(key, 'velocity', param);
+        const p = param.values, g = gradient.values, velocities = velocity.values;
+        for (let k = 0; k < p.length; k++) {
+            const prev = velocities[k];
+            const v = mu * prev - learningRate * g[k];
+            velocities[k] = v;
+            p[k] = p[k] - mu * prev + (1 + mu) * v;
+        }
+    }
+}
+
+export class RMSProp extends Optimizer {
+    constructor(options = {}) {
+        super('rmsprop', { decay: 0.9, epsilon: 1e-8, ...options });
+    }
+
+    updateParameter(key, param, gradient, learningRate) {
+        const { decay, epsilon } = this.options;
+        const cache = this.getState(key, 'cache', param);
+        const p = param.values, gradients = gradient.values, caches = cache.values;
+        for (let k = 0; k < p.length; k++) {
+            const g = gradients[k];
+            const c = decay * caches[k] + (1 - decay) * g * g;
+            caches[k] = c;
+            p[k] -= learningRate * g / (Math.sqrt(c) + epsilon);
+        }
+    }
+}
+
+export class Adam extends Optimizer {
+    constructor(options = {}) {
+        super('adam', { beta1: 0.9, beta2: 0.999, epsilon: 1e-8, ...options });
+    }
+
+    updateParameter(key, param, gradient, learningRate) {
+        const { beta1, beta2, epsilon } = this.options;
+        const m = this.getState(key, 'm', param);
+        const v = this.getState(key, 'v', param);
+        const correction1 = 1 - Math.pow(beta1, this.t);
+        const correction2 = 1 - Math.pow(beta2, this.t);
+        const p = param.values, gradients = gradient.values, ms = m.values, vs = v.values;
+        for (let k = 0; k < p.length; k++) {
+            const g = gradients[k];
+            const mi = beta1 * ms[k] + (1 - beta1) * g;
+            const vi = beta2 * vs[k] + (1 - beta2) * g * g;
+            ms[k] = mi;
+            vs[k] = vi;
+            p[k] -= learningRate * (mi / correction1) / (Math.sqrt(vi / correction2) + epsilon);
+        }
+    }
+}
+
+export const optimizers = { sgd: SGD, momentum: Momentum, nesterov: Nesterov, rmsprop: RMSProp, adam: Adam };
+
+/**
+ * Creates an optimizer from its registry name.
+ * @param {string} name - One of the keys of `optimizers`.
+ * @param {Object} options - Hyperparameter overrides.
+ * @returns {Optimizer} The new optimizer.
+ */
+export function createOptimizer(name, options = {}) {
+    const OptimizerClass = optimizers[name];
+    if (!OptimizerClass) {
+        throw new Error(`createOptimizer: Unknown optimizer "${name}".`);
+    }
+    return new OptimizerClass(options);
+}
@@ -0,0 +1,66 @@
+// random.js - Seedable pseudo-random numbers, so training runs can be reproduced exactly
+
+export class Random {
+    /**
+     * @param {number} seed - An integer between 0 and 2^32 - 1. A random seed is picked when omitted.
+     */
+    constructor(seed = Random.randomSeed()) {
+        if (!Number.isInteger(seed) || seed < 0 || seed > 0xFFFFFFFF) {
+            throw new Error("Random: seed must be an integer between 0 and 4294967295.");
+        }
+        this.seed = seed;
+        this.state = seed;
+    }
+
+    /**
+     * Picks a seed for runs that did not ask for one. This is the only place Math.random() is used.
+     */
+    static randomSeed() {
+        return Math.floor(Math.random() * 0x100000000);
+    }
+
+    /**
+     * The next number in [0, 1), from the mulberry32 generator.
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * An integer in [0, n).
+     */
+    integer(n) {
+        return Math.floor(this.next() * n);
+    }
+
+    /**
+     * A sample of a normal distribution, with the Box-Muller transform.
+     */
+    gaussian(mean = 0, sd = 1) {
+        const u = 1 - this.next();
+        const v = this.next();
+        return mean + sd * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    }
+
+    copy() {
+        return Random.deserialize(this.serialize());
+    }
+
+    serialize() {
+        return JSON.stringify({ seed: this.seed, state: this.state });
+    }
+
+    static deserialize(data) {
+        if (typeof data === 'string') data = JSON.parse(data);
+        if (!data || !Number.isInteger(data.seed) || !Number.isInteger(data.state)) {
+            throw new Error("Random.deserialize: Invalid data format.");
+        }
+        const random = new Random(data.seed);
+        random.state = data.state >>> 0;
+        return random;
+    }
+}
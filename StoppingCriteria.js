@@ -0,0 +1,184 @@
+// stoppingCriteria.js - Rules that end a training run: loss and accuracy targets, budgets, and early stopping
+
+import { Matrix } from './Matrix.js';
+
+// Every rule but the loss target is off (null) unless it is configured
+export const DEFAULT_STOPPING = {
+    targetLoss: 0.001,
+    targetAccuracy: null,
+    // 'tolerance': a row is correct when every output is within `tolerance` of its target;
+    // 'argmax': when the largest output is the largest target (or, with one output, on the same side of 0.5)
+    accuracyMode: 'tolerance',
+    tolerance: 0.1,
+    maxEpochs: null,
+    // Seconds of training, not counting the time spent paused
+    timeLimit: null,
+    // Epochs without a validation loss improvement of more than minDelta before early stopping
+    patience: null,
+    minDelta: 0,
+    restoreBest: true
+};
+
+export const stoppingRuleLabels = {
+    targetLoss: 'target loss',
+    targetAccuracy: 'target accuracy',
+    earlyStopping: 'early stopping',
+    maxEpochs: 'epoch limit',
+    timeLimit: 'time limit'
+};
+
+function argmax(values) {
+    return values.indexOf(Math.max(...values));
+}
+
+export class StoppingCriteria {
+    /**
+     * @param {Object} options - Overrides of DEFAULT_STOPPING.
+     * @param {Object} state - The state a previous run ended with, from `state`, so the time budget and early
+     * stopping carry on across pauses. Omit it to start a new run.
+     */
+    constructor(options = {}, state = {}) {
+        const problem = StoppingCriteria.checkOptions(options);
+        if (problem) {
+            throw new Error(`StoppingCriteria: ${problem}`);
+        }
+        this.options = { ...DEFAULT_STOPPING, ...options };
+        // elapsed is in milliseconds; best holds the weights and biases of the lowest validation loss seen
+        this.state = { elapsed: 0, bestLoss: null, bestEpoch: 0, best: null, ...state };
+        this.lastTime = null;
+    }
+
+    /**
+     * Checks overrides of DEFAULT_STOPPING without building anything, so settings read from a file can be refused
+     * before they reach a training run.
+     * @param {Object} options - Overrides of DEFAULT_STOPPING.
+     * @returns {string|null} The first problem found, or null if the options are usable.
+     */
+    static checkOptions(options) {
+        if (!options || typeof options !== 'object' || Array.isArray(options)) {
+            return "the stopping options must be an object.";
+        }
+        const settings = { ...DEFAULT_STOPPING, ...options };
+        const { targetAccuracy, accuracyMode, tolerance, restoreBest } = settings;
+        if (targetAccuracy !== null && !(targetAccuracy > 0 && targetAccuracy <= 1)) {
+            return "targetAccuracy must be in (0, 1].";
+        }
+        if (accuracyMode !== 'tolerance' && accuracyMode !== 'argmax') {
+            return `Unknown accuracy mode "${accuracyMode}".`;
+        }
+        if (!(tolerance >= 0)) {
+            return "tolerance must be at least 0.";
+        }
+        // The rules that are off when null
+        for (const key of ['targetLoss', 'maxEpochs', 'timeLimit', 'patience']) {
+            if (settings[key] !== null && !(typeof settings[key] === 'number' && settings[key] >= 0)) {
+                return `${key} must be null or a number of at least 0.`;
+            }
+        }
+        if (!(typeof settings.minDelta === 'number' && settings.minDelta >= 0)) {
+            return "minDelta must be a number of at least 0.";
+        }
+        if (typeof restoreBest !== 'boolean') {
+            return "restoreBest must be true or false.";
+        }
+        return null;
+    }
+
+    /**
+     * Starts the clock. Call it whenever training resumes, so paused time is not counted.
+     */
+    begin() {
+        this.lastTime = Date.now();
+    }
+
+    /**
+     * Stops the clock, adding the time since begin() or the last check() to the elapsed time.
+     */
+    pause() {
+        if (this.lastTime !== null) this.state.elapsed += Date.now() - this.lastTime;
+        this.lastTime = null;
+    }
+
+    /**
+     * How many of the requested epochs can be trained from `epoch` without passing the epoch limit.
+     */
+    epochsAllowed(epoch, epochs) {
+        const { maxEpochs } = this.options;
+        return maxEpochs === null ? epochs : Math.max(0, Math.min(epochs, maxEpochs - epoch));
+    }
+
+    /**
+     * Whether a row counts as correct for the accuracy target.
+     */
+    isCorrect(outputs, targets) {
+        if (this.options.accuracyMode === 'tolerance') {
+            return outputs.every((o, k) => Math.abs(o - targets[k]) <= this.options.tolerance);
+        }
+        if (outputs.length === 1) {
+            return (outputs[0] >= 0.5) === (targets[0] >= 0.5);
+        }
+        return argmax(outputs) === argmax(targets);
+    }
+
+    /**
+     * The fraction of the rows the network gets right, as judged by isCorrect().
+     */
+    accuracy(nn, rows) {
+        const correct = rows.filter(row => this.isCorrect(nn.predict(row.inputs), row.targets)).length;
+        return correct / rows.length;
+    }
+
+    /**
+     * Checks every rule after an evaluation, in the order targetLoss, targetAccuracy, earlyStopping, maxEpochs,
+     * timeLimit. Early stopping needs a validation set and is skipped without one; when it fires with restoreBest,
+     * the trainer's network gets back the weights and biases of its best validation loss.
+     * @param {Trainer} trainer - The trainer that produced the entry.
+     * @param {Object} entry - The history entry from trainer.evaluate().
+     * @returns {Object|null} null to keep training, otherwise { rule, epoch, message, restoredEpoch }, where
+     * restoredEpoch is the epoch whose weights were restored, or null.
+     */
+    check(trainer, entry) {
+        const { targetLoss, targetAccuracy, maxEpochs, timeLimit, patience, minDelta, restoreBest } = this.options;
+        const state = this.state;
+        this.pause();
+        this.begin();
+
+        const stop = (rule, message, restoredEpoch = null) => ({ rule, epoch: trainer.epoch, message, restoredEpoch });
+
+        if (targetLoss !== null && entry.loss < targetLoss) {
+            return stop('targetLoss', `the loss fell below ${targetLoss}`);
+        }
+        if (targetAccuracy !== null) {
+            const accuracy = this.accuracy(trainer.nn, trainer.rows.train);
+            if (accuracy >= targetAccuracy) {
+                return stop('targetAccuracy', `the accuracy ${(accuracy * 100).toFixed(1)}% reached ${(targetAccuracy * 100).toFixed(1)}%`);
+            }
+        }
+        if (patience !== null && entry.validationLoss !== null) {
+            if (state.bestLoss === null || entry.validationLoss < state.bestLoss - minDelta) {
+                state.bestLoss = entry.validationLoss;
+                state.bestEpoch = trainer.epoch;
+                state.best = restoreBest ? {
+                    weights: trainer.nn.weights.map(w => w.copy()),
+                    biases: trainer.nn.biases.map(b => b.copy())
+                } : null;
+            } else if (trainer.epoch - state.bestEpoch >= patience) {
+                const message = `the validation loss has not improved on ${state.bestLoss.toPrecision(3)} since epoch ${state.bestEpoch}`;
+                if (restoreBest && state.best) {
+                    // The best copies may have been through postMessage, which drops the Matrix prototype
+                    trainer.nn.weights = state.best.weights.map(w => Matrix.fromValues(w.rows, w.cols, w.values));
+                    trainer.nn.biases = state.best.biases.map(b => Matrix.fromValues(b.rows, b.cols, b.values));
+                    return stop('earlyStopping', message, state.bestEpoch);
+                }
+                return stop('earlyStopping', message);
+            }
+        }
+        if (maxEpochs !== null && trainer.epoch >= maxEpochs) {
+            return stop('maxEpochs', `${maxEpochs} epochs have been trained`);
+        }
+        if (timeLimit !== null && state.elapsed >= timeLimit * 1000) {
+            return stop('timeLimit', `${(state.elapsed / 1000).toFixed(1)} s of training used the ${timeLimit} s limit`);
+        }
+        return null;
+    }
+}
@@ -0,0 +1,253 @@
+// tfjsConverter.js - TensorFlow.js layers-model export and import
+
+import { Matrix } from './Matrix.js';
+import { NeuralNetwork } from './NeuralNetwork.js';
+import { Random } from './Random.js';
+
+const TFJS_WEIGHTS_PATH = 'model.weights.bin';
+
+// Weights are stored as float32, so round-tripped predictions may differ by this much
+export const TFJS_TOLERANCE = 1e-4;
+
+// NeuralNetwork activation name -> tfjs/Keras activation identifier. GELU is left out: tfjs's 'gelu' is the
+// exact erf form rather than the tanh approximation NeuralNetwork uses, and tfjs rejects 'gelu_new'
+export const TFJS_ACTIVATIONS = {
+    sigmoid: 'sigmoid',
+    relu: 'relu',
+    tanh: 'tanh',
+    identity: 'linear',
+    softmax: 'softmax',
+    elu: 'elu',
+    selu: 'selu',
+    softplus: 'softplus',
+    swish: 'swish',
+    hardSigmoid: 'hardSigmoid'
+};
+
+// NeuralNetwork loss name -> tfjs loss identifier. Huber has no tfjs-layers loss, so its networks export without
+// a training config and import with the loss their output activation suggests
+const TFJS_LOSSES = {
+    mse: 'meanSquaredError',
+    binaryCrossEntropy: 'binaryCrossentropy',
+    categoricalCrossEntropy: 'categoricalCrossentropy'
+};
+
+// tfjs writes camelCase identifiers and Keras snake_case ones ('hard_sigmoid'), so they are compared as camelCase
+const camelCase = identifier => identifier.replace(/_([a-z0-9])/g, (_, c) => c.toUpperCase());
+
+export class TfjsConverter {
+    /**
+     * Converts a network into a tfjs `model.json` object and its binary weights.
+     * Each layer becomes a Dense layer whose kernel is the transpose of the network's weight matrix,
+     * since tfjs stores kernels as [inputs, units] while NeuralNetwork stores [units, inputs].
+     * @param {NeuralNetwork} nn - The network to export.
+     * @param {string} weightsPath - The file name model.json uses to reference the weights.
+     * @returns {{modelJSON: Object, weightData: ArrayBuffer}} The model topology/manifest and the weight bytes.
+     */
+    static toTfjs(nn, weightsPath = TFJS_WEIGHTS_PATH) {
+        const layers = [];
+        const manifestWeights = [];
+        const values = [];
+
+        for (let l = 0; l < nn.weights.length; l++) {
+            const name = `dense_${l + 1}`;
+            const activationName = nn.activation_functions[l].name;
+            const activation = TFJS_ACTIVATIONS[activationName];
+            if (!activation) {
+                throw new Error(`TfjsConverter.toTfjs: activation "${activationName}" has no tfjs equivalent.`);
+            }
+            const w = nn.weights[l];
+
+            const config = {
+                name,
+                trainable: true,
+                dtype: 'float32',
+                units: w.rows,
+                activation,
+                use_bias: true
+            };
+            if (l === 0) {
+                config.batch_input_shape = [null, w.cols];
+            }
+            layers.push({ class_name: 'Dense', config });
+
+            manifestWeights.push({ name: `${name}/kernel`, shape: [w.cols, w.rows], dtype: 'float32' });
+            values.push(...Matrix.transpose(w).toArray());
+            manifestWeights.push({ name: `${name}/bias`, shape: [w.rows], dtype: 'float32' });
+            values.push(...nn.biases[l].toArray());
+        }
+
+        const modelJSON = {
+            format: 'layers-model',
+            generatedBy: 'Neural Network Visualization',
+            convertedBy: null,
+            modelTopology: {
+                class_name: 'Sequential',
+                config: { name: 'sequential', layers },
+                keras_version: 'tfjs-layers',
+                backend: 'tensor_flow.js'
+            },
+            weightsManifest: [{ paths: [weightsPath], weights: manifestWeights }]
+        };
+        if (TFJS_LOSSES[nn.loss.name]) {
+            // tfjs compiles a loaded model from its training config, which needs an optimizer as well as the loss
+            modelJSON.trainingConfig = {
+                loss: TFJS_LOSSES[nn.loss.name],
+                metrics: [],
+                optimizer_config: { class_name: 'SGD', config: { learning_rate: nn.learning_rate } }
+            };
+        }
+
+        return { modelJSON, weightData: new Float32Array(values).buffer };
+    }
+
+    /**
+     * Builds a network from a tfjs/Keras sequential model of Dense layers.
+     * @param {Object|string} modelJSON - The parsed or raw `model.json`.
+     * @param {ArrayBuffer} weightData - The weight bytes, with all manifest paths concatenated in order.
+     * @returns {NeuralNetwork} The imported network.
+     */
+    static fromTfjs(modelJSON, weightData) {
+        if (typeof modelJSON === 'string') modelJSON = JSON.parse(modelJSON);
+        const topology = modelJSON.modelTopology && (modelJSON.modelTopology.model_config || modelJSON.modelTopology);
+        if (!topology || topology.class_name !== 'Sequential') {
+            throw new Error("TfjsConverter.fromTfjs: only Sequential models are supported.");
+        }
+        const allLayers = Array.isArray(topology.config) ? topology.config : topology.config.layers;
+        const layers = allLayers.filter(layer => layer.class_name !== 'InputLayer');
+        if (layers.length < 2 || !layers.every(layer => layer.class_name === 'Dense')) {
+            throw new Error("TfjsConverter.fromTfjs: the model must be at least two Dense layers.");
+        }
+
+        const tensors = TfjsConverter.readWeights(modelJSON.weightsManifest, weightData);
+        const activationNames = layers.map(layer => {
+            const activation = layer.config.activation || 'linear';
+            const name = typeof activation === 'string' &&
+                Object.keys(TFJS_ACTIVATIONS).find(key => TFJS_ACTIVATIONS[key] === camelCase(activation));
+            if (!name) {
+                throw new Error(`TfjsConverter.fromTfjs: unsupported activation ${JSON.stringify(activation)}.`);
+            }
+            return name;
+        });
+
+        const kernels = layers.map((layer, l) => TfjsConverter.findTensor(tensors, layer.config.name, 'kernel', 2 * l));
+        const inputNodes = kernels[0].shape[0];
+        const units = layers.map(layer => layer.config.units);
+        const nn = new NeuralNetwork(inputNodes, units.slice(0, -1), units[units.length - 1], {
+            activationFunctions: activationNames,
+            loss: TfjsConverter.readLoss(modelJSON, activationNames[activationNames.length - 1])
+        });
+
+        layers.forEach((layer, l) => {
+            const kernel = kernels[l];
+            if (kernel.shape[1] !== units[l] || kernel.shape[0] !== nn.weights[l].cols) {
+                throw new Error(`TfjsConverter.fromTfjs: kernel of "${layer.config.name}" has shape [${kernel.shape}].`);
+            }
+            nn.weights[l].map((_, j, i) => kernel.values[i * units[l] + j]);
+            if (layer.config.use_bias === false) {
+                nn.biases[l].map(() => 0);
+            } else {
+                const bias = TfjsConverter.findTensor(tensors, layer.config.name, 'bias', 2 * l + 1);
+                nn.biases[l].map((_, j) => bias.values[j]);
+            }
+        });
+        return nn;
+    }
+
+    /**
+     * The loss of a model's training config, written by tfjs (`trainingConfig`) or Keras (`training_config` in the
+     * topology). Without a known one, the loss that suits the output activation: categorical cross-entropy for
+     * softmax, binary cross-entropy for sigmoid, and mean squared error otherwise.
+     */
+    static readLoss(modelJSON, outputActivation) {
+        const trainingConfig = modelJSON.trainingConfig || (modelJSON.modelTopology && modelJSON.modelTopology.training_config);
+        const loss = trainingConfig && trainingConfig.loss;
+        if (typeof loss === 'string') {
+            const identifier = loss === 'mse' ? 'meanSquaredError' : camelCase(loss);
+            const name = Object.keys(TFJS_LOSSES).find(key => TFJS_LOSSES[key] === identifier);
+            if (name) return name;
+        }
+        return outputActivation === 'softmax' ? 'categoricalCrossEntropy'
+            : outputActivation === 'sigmoid' ? 'binaryCrossEntropy' : 'mse';
+    }
+
+    /**
+     * Splits the weight bytes into named float32 tensors following the manifest order.
+     */
+    static readWeights(weightsManifest, weightData) {
+        const tensors = [];
+        let offset = 0;
+        for (const group of weightsManifest) {
+            for (const spec of group.weights) {
+                if (spec.dtype && spec.dtype !== 'float32') {
+                    throw new Error(`TfjsConverter.fromTfjs: weight "${spec.name}" has unsupported dtype ${spec.dtype}.`);
+                }
+                const size = spec.shape.reduce((a, b) => a * b, 1);
+                if ((offset + size) * 4 > weightData.byteLength) {
+                    throw new Error("TfjsConverter.fromTfjs: weight data is shorter than the manifest describes.");
+                }
+                tensors.push({ name: spec.name, shape: spec.shape, values: new Float32Array(weightData, offset * 4, size) });
+                offset += size;
+            }
+        }
+        return tensors;
+    }
+
+    /**
+     * Finds a layer's kernel or bias by name, falling back to its position in the manifest.
+     */
+    static findTensor(tensors, layerName, kind, fallbackIndex) {
+        const byName = tensors.find(t => t.name === `${layerName}/${kind}` || t.name.endsWith(`/${layerName}/${kind}`));
+        const tensor = byName || tensors[fallbackIndex];
+        if (!tensor) {
+            throw new Error(`TfjsConverter.fromTfjs: missing ${kind} for layer "${layerName}".`);
+        }
+        return tensor;
+    }
+
+    /**
+     * Exports and re-imports a network, comparing predictions on the given inputs.
+     * Weights are stored as float32, so small differences are expected.
+     * @param {NeuralNetwork} nn - The network to check.
+     * @param {Array<Array<number>>} inputs - The samples to compare predictions on.
+     * @param {number} tolerance - The largest acceptable absolute difference, TFJS_TOLERANCE by default.
+     * @returns {{maxError: number, passed: boolean, loss: string}} The largest difference found, whether it is within
+     * tolerance, and the loss the re-imported network ended up with.
+     */
+    static verifyRoundTrip(nn, inputs, tolerance = TFJS_TOLERANCE) {
+        const { modelJSON, weightData } = TfjsConverter.toTfjs(nn);
+        const imported = TfjsConverter.fromTfjs(JSON.parse(JSON.stringify(modelJSON)), weightData);
+        let maxError = 0;
+        for (const input of inputs) {
+            const expected = nn.predict(input);
+            const actual = imported.predict(input);
+            expected.forEach((v, k) => maxError = Math.max(maxError, Math.abs(v - actual[k])));
+        }
+        return { maxError, passed: maxError <= tolerance, loss: imported.loss.name };
+    }
+}
+
+/**
+ * Round-trips a small seeded 3-4-3-2 network through toTfjs() and fromTfjs() for every activation in
+ * TFJS_ACTIVATIONS, used for both the hidden layers and the output layer, comparing predictions on random inputs.
+ * Softmax networks use categorical cross-entropy, sigmoid ones binary cross-entropy and the others mean squared
+ * error, and the loss must survive the round trip too.
+ * @param {Object} options - { samples, seed }: the number of random inputs compared per activation,
+ * and the seed the networks and inputs are drawn from.
+ * @returns {Array<Object>} One entry per activation: { activation, loss, maxError, passed }.
+ */
+export function tfjsRoundTripSuite(options = {}) {
+    const { samples = 5, seed = 1 } = options;
+    const random = new Random(seed);
+    return Object.keys(TFJS_ACTIVATIONS).map(activation => {
+        const loss = activation === 'softmax' ? 'categoricalCrossEntropy' : activation === 'sigmoid' ? 'binaryCrossEntropy' : 'mse';
+        const network = new NeuralNetwork(3, [4, 3], 2, {
+            activationFunctions: [activation, activation, activation],
+            loss,
+            seed: random.integer(0x100000000)
+        });
+        const inputs = Array.from({ length: samples }, () => Array.from({ length: 3 }, () => random.next() * 4 - 2));
+        const check = TfjsConverter.verifyRoundTrip(network, inputs, TFJS_TOLERANCE);
+        return { activation, loss, maxError: check.maxError, passed: check.passed && check.loss === loss };
+    });
+}
@@ -0,0 +1,155 @@
+// trainer.js - The training loop, independent of the page so it can run in a worker
+
+import { Random } from './Random.js';
+
+export class Trainer {
+    /**
+     * @param {NeuralNetwork} nn - The network to train.
+     * @param {Object} rows - The dataset rows ({ inputs, targets }) of each split part.
+     * @param {Array<Object>} rows.train - The rows trained on.
+     * @param {Array<Object>} rows.validation - Held-out rows evaluated after each step.
+     * @param {Array<Object>} rows.test - Held-out rows evaluated after each step.
+     * @param {Object} options - Training options.
+     * @param {number} options.batchSize - Samples per update; 1 trains online.
+     * @param {number} options.epoch - The epoch count to continue from.
+     */
+    constructor(nn, rows, options = {}) {
+        if (!rows || !Array.isArray(rows.train) || rows.train.length === 0) {
+            throw new Error("Trainer: rows.train must contain at least one row.");
+        }
+        this.nn = nn;
+        this.rows = { train: rows.train, validation: rows.validation || [], test: rows.test || [] };
+        this.batchSize = options.batchSize || 1;
+        this.epoch = options.epoch || 0;
+        this.nn.schedule.epoch = this.epoch;
+    }
+
+    /**
+     * Runs the given number of training steps ("epochs" in the UI): one random row when the batch size is 1,
+     * otherwise one update on a random batch, or on every row when the batch covers the training set.
+     * Rows are drawn with the network's own generator, so a seeded network trains the same way every time.
+     * The network's learning-rate schedule is told the epoch before each step.
+     */
+    trainEpochs(epochs) {
+        const rows = this.rows.train;
+        for (let i = 0; i < epochs; i++) {
+            this.nn.schedule.epoch = this.epoch + i;
+            if (this.batchSize === 1) {
+                const row = rows[this.nn.random.integer(rows.length)];
+                this.nn.train(row.inputs, row.targets);
+            } else {
+                const batch = this.batchSize >= rows.length ? rows : Trainer.sample(rows, this.batchSize, this.nn.random);
+                this.nn.trainBatch(batch.map(row => row.inputs), batch.map(row => row.targets));
+            }
+        }
+        this.epoch += epochs;
+        this.nn.schedule.epoch = this.epoch;
+    }
+
+    /**
+     * Evaluates the network on every split part, and reports the loss to the learning-rate schedule:
+     * the validation loss when there is a validation set, otherwise the training loss.
+     * @returns {Object} A history entry: { epoch, loss, outputErrors, accuracy, validationLoss, validationAccuracy,
+     * testLoss, testAccuracy, learningRate }, where learningRate is the rate of the next step.
+     */
+    evaluate() {
+        const metrics = Trainer.evaluate(this.nn, this.rows.train);
+        const validationMetrics = Trainer.evaluate(this.nn, this.rows.validation);
+        const testMetrics = Trainer.evaluate(this.nn, this.rows.test);
+        this.nn.schedule.observe(validationMetrics ? validationMetrics.loss : metrics.loss);
+        return {
+            epoch: this.epoch,
+            ...metrics,
+            validationLoss: validationMetrics ? validationMetrics.loss : null,
+            validationAccuracy: validationMetrics ? validationMetrics.accuracy : null,
+            testLoss: testMetrics ? testMetrics.loss : null,
+            testAccuracy: testMetrics ? testMetrics.accuracy : null,
+            learningRate: this.nn.currentLearningRate()
+        };
+    }
+
+    /**
+     * Evaluates a network on every row of a dataset.
+     * Accuracy is only reported for datasets whose targets are all 0 or 1.
+     * Returns null when there are no rows to evaluate.
+     */
+    static evaluate(nn, rows) {
+        if (rows.length === 0) return null;
+
+        let totalError = 0;
+        let correct = 0;
+        const outputErrors = Array(nn.output_nodes).fill(0);
+        const classification = rows.every(row => row.targets.every(t => t === 0 || t === 1));
+
+        for (const row of rows) {
+            const outputs = nn.predict(row.inputs);
+            totalError += nn.calculateLoss(outputs, row.targets);
+            outputs.forEach((o, k) => outputErrors[k] += Math.pow(row.targets[k] - o, 2) / rows.length);
+            if (classification && Trainer.isPredictionCorrect(nn, outputs, row.targets)) {
+                correct++;
+            }
+        }
+
+        return {
+            loss: totalError / rows.length,
+            outputErrors,
+            accuracy: classification ? correct / rows.length : null
+        };
+    }
+
+    static isPredictionCorrect(nn, outputs, targets) {
+        const outputActivation = nn.activation_functions[nn.activation_functions.length - 1].name;
+        if (outputActivation === 'softmax') {
+            return outputs.indexOf(Math.max(...outputs)) === targets.indexOf(Math.max(...targets));
+        }
+        return outputs.every((o, k) => (o >= 0.5 ? 1 : 0) === targets[k]);
+    }
+
+    /**
+     * Picks `size` distinct rows at random with a partial Fisher-Yates shuffle.
+     * @param {Random} random - The generator to draw from.
+     */
+    static sample(rows, size, random = new Random()) {
+        const pool = rows.slice();
+        for (let i = 0; i < size; i++) {
+            const j = i + random.integer(pool.length - i);
+            [pool[i], pool[j]] = [pool[j], pool[i]];
+        }
+        return pool.slice(0, size);
+    }
+
+    /**
+     * Shuffles a copy of the array with a deterministic generator, so the same seed always yields the same order.
+     */
+    static seededShuffle(array, seed) {
+        const random = new Random(seed >>> 0);
+        const result = [...array];
+        for (let i = result.length - 1; i > 0; i--) {
+            const j = random.integer(i + 1);
+            [result[i], result[j]] = [result[j], result[i]];
+        }
+        return result;
+    }
+
+    /**
+     * Partitions row indices into train, validation and test sets.
+     * At least one row is always kept for training.
+     * @param {number} numRows - The number of rows in the dataset.
+     * @param {Object} split - { validation, test, seed } with fractions between 0 and 1.
+     * @returns {{train: Array<number>, validation: Array<number>, test: Array<number>}} The sorted row indices of each part.
+     */
+    static splitDataset(numRows, split) {
+        const indices = Trainer.seededShuffle([...Array(numRows).keys()], split.seed);
+        let numTest = Math.round(numRows * split.test);
+        let numValidation = Math.round(numRows * split.validation);
+        numTest = Math.min(numTest, numRows - 1);
+        numValidation = Math.min(numValidation, numRows - 1 - numTest);
+
+        const sortIndices = arr => arr.sort((a, b) => a - b);
+        return {
+            test: sortIndices(indices.slice(0, numTest)),
+            validation: sortIndices(indices.slice(numTest, numTest + numValidation)),
+            train: sortIndices(indices.slice(numTest + numValidation))
+        };
+    }
+}
@@ -0,0 +1,89 @@
+class TrainingTimeline {
+    /**
+     * @param {Object} options - Timeline options.
+     * @param {number} options.interval - Epochs between snapshots.
+     * @param {number} options.maxSnapshots - The most snapshots kept in memory.
+     */
+    constructor(options = {}) {
+        this.baseInterval = options.interval || 10;
+        this.interval = this.baseInterval;
+        this.maxSnapshots = options.maxSnapshots || 200;
+        this.snapshots = [];
+    }
+
+    get length() {
+        return this.snapshots.length;
+    }
+
+    /**
+     * Stores a copy of the network's weights and biases if at least `interval` epochs have passed
+     * since the last snapshot. The first call after a reset always records.
+     * @param {NeuralNetwork} nn - The network being trained.
+     * @param {number} epoch - The current training epoch.
+     * @returns {boolean} Whether a snapshot was taken.
+     */
+    record(nn, epoch) {
+        const last = this.snapshots[this.snapshots.length - 1];
+        if (last && epoch - last.epoch < this.interval) return false;
+
+        this.snapshots.push({
+            epoch,
+            weights: nn.weights.map(w => w.copy()),
+            biases: nn.biases.map(b => b.copy())
+        });
+        if (this.snapshots.length > this.maxSnapshots) {
+            this.thin();
+        }
+        return true;
+    }
+
+    /**
+     * Halves the number of snapshots, keeping the first and latest, and doubles the interval
+     * so long runs stay within `maxSnapshots` while still covering the whole run.
+     */
+    thin() {
+        const latest = this.snapshots[this.snapshots.length - 1];
+        this.snapshots = this.snapshots.filter((_, i) => i % 2 === 0);
+        if (this.snapshots[this.snapshots.length - 1] !== latest) {
+            this.snapshots.push(latest);
+        }
+        this.interval *= 2;
+    }
+
+    /**
+     * Sets the snapshot interval. Takes effect from the next snapshot and after every reset.
+     */
+    setSnapshotInterval(interval) {
+        if (!Number.isInteger(interval) || interval < 1) {
+            throw new Error("TrainingTimeline.setSnapshotInterval: interval must be a positive integer.");
+        }
+        this.baseInterval = interval;
+        this.interval = interval;
+    }
+
+    reset() {
+        this.snapshots = [];
+        this.interval = this.baseInterval;
+    }
+
+    epochAt(index) {
+        return this.snapshots[index].epoch;
+    }
+
+    /**
+     * Builds a copy of the network carrying the weights and biases of a snapshot.
+     * @param {number} index - The snapshot index.
+     * @param {NeuralNetwork} nn - The network the snapshots were taken from.
+     * @returns {NeuralNetwork} A network that can be drawn or evaluated without touching `nn`.
+     */
+    networkAt(index, nn) {
+        const snapshot = this.snapshots[index];
+        if (!snapshot) {
+            throw new Error(`TrainingTimeline.networkAt: no snapshot at index ${index}.`);
+        }
+        const network = nn.copy();
+        network.weights = snapshot.weights.map(w => w.copy());
+        network.biases = snapshot.biases.map(b => b.copy());
+        return network;
+    }
+}
@@ -0,0 +1,193 @@
+// trainingWorker.js - Runs the training loop off the main thread
+//
+// Messages in:
+//   { type: 'reset', network, rows, epoch, batchSize, epochsPerFrame, stopping, stoppingState, evolution, population }
+//     - load the state to train, with the stopping rules' options and the state the last session ended with (omit it
+//     to start a new run). With `evolution` options the network is evolved by a Population instead of backpropagation,
+//     continuing `population` from the last session's paused message when it is given
+//   { type: 'start' } / { type: 'pause' } / { type: 'step' } - run continuously, stop, or run a single frame's worth;
+//     start and step post an error unless the last reset succeeded
+//   { type: 'configure', batchSize, epochsPerFrame } - change the speed settings while running
+//   { type: 'registerActivation', name, fn, derivative } - register a custom activation, its function and
+//     derivative given as source text, since functions cannot be posted
+// Messages out:
+//   { type: 'progress', epoch, weights, biases, droppedNodes, history } - at most once per display frame while running
+//   { type: 'paused', reason, epoch, network, droppedNodes, history, stop, stoppingState, population } - after
+//     pause/step, or with reason 'stopped' once a stopping rule fires; stop is that rule's report from
+//     StoppingCriteria.check(), and population the serialized Population when evolving (otherwise null)
+//
+// While evolving, a generation counts as an epoch and the network sent back is the fittest individual.
+
+import { NeuralNetwork } from './NeuralNetwork.js';
+import { Trainer } from './Trainer.js';
+import { StoppingCriteria } from './StoppingCriteria.js';
+import { Population } from './Evolution.js';
+
+const FRAME_MS = 1000 / 60;
+
+// A Trainer, or a Population while evolving
+let trainer = null;
+let epochsPerFrame = 1;
+let criteria = null;
+let running = false;
+let history = [];
+let lastPost = 0;
+
+self.onmessage = (event) => {
+    const message = event.data;
+    try {
+        switch (message.type) {
+            case 'reset': {
+                running = false;
+                // Until both are built, there is no session: a failed reset must not leave the last one to train
+                trainer = criteria = null;
+                const nextTrainer = message.evolution
+                    ? new Population(NeuralNetwork.deserialize(message.network), message.rows, {
+                        ...message.evolution,
+                        epoch: message.epoch
+                    }, message.population)
+                    : new Trainer(NeuralNetwork.deserialize(message.network), message.rows, {
+                        batchSize: message.batchSize,
+                        epoch: message.epoch
+                    });
+                const nextCriteria = new StoppingCriteria(message.stopping, message.stoppingState);
+                trainer = nextTrainer;
+                criteria = nextCriteria;
+                epochsPerFrame = message.epochsPerFrame;
+                history = [];
+                break;
+            }
+            case 'configure':
+                if (message.epochsPerFrame !== undefined) epochsPerFrame = message.epochsPerFrame;
+                if (message.batchSize !== undefined && trainer) trainer.batchSize = message.batchSize;
+                break;
+            case 'start':
+                requireSession();
+                if (!running) {
+                    running = true;
+                    criteria.begin();
+                    runFrame();
+                }
+                break;
+            case 'step': {
+                running = false;
+                requireSession();
+                criteria.begin();
+                const stop = trainFrame();
+                postPaused(stop ? 'stopped' : 'step', stop);
+                break;
+            }
+            case 'pause':
+                running = false;
+                postPaused('paused');
+                break;
+            case 'registerActivation':
+                NeuralNetwork.registerActivation(message.name, parseFunction(message.fn, message.name), parseFunction(message.derivative, message.name));
+                break;
+            default:
+                throw new Error(`Unknown message type "${message.type}".`);
+        }
+    } catch (e) {
+        running = false;
+        self.postMessage({ type: 'error', message: e.message });
+    }
+};
+
+/**
+ * Throws unless the last 'reset' built a network and its stopping rules.
+ */
+function requireSession() {
+    if (!trainer || !criteria) {
+        throw new Error("No network to train; send a 'reset' message first.");
+    }
+}
+
+/**
+ * Rebuilds a function of the named activation from its source text. It only sees globals, so custom
+ * activations must not use closures.
+ */
+function parseFunction(source, name) {
+    let fn;
+    try {
+        fn = new Function(`return (${source});`)();
+    } catch (e) {
+        throw new Error(`Could not rebuild the "${name}" activation: ${e.message}`);
+    }
+    if (typeof fn !== 'function') {
+        throw new Error(`Could not rebuild the "${name}" activation: its source is not a function.`);
+    }
+    return fn;
+}
+
+/**
+ * Trains one frame's worth of epochs, or fewer when the epoch limit is closer, and records the metrics.
+ * @returns {Object|null} The report of the stopping rule that fired, or null.
+ */
+function trainFrame() {
+    requireSession();
+    trainer.trainEpochs(criteria.epochsAllowed(trainer.epoch, epochsPerFrame));
+    const entry = trainer.evaluate();
+    history.push(entry);
+    return criteria.check(trainer, entry);
+}
+
+/**
+ * Trains a frame, streams progress when a display frame has passed, and schedules the next frame.
+ * Waits out the rest of the frame when training is faster than the display, so the speed setting keeps
+ * its meaning of epochs per frame.
+ */
+function runFrame() {
+    if (!running) return;
+    const start = performance.now();
+    try {
+        const stop = trainFrame();
+        if (stop) {
+            running = false;
+            postPaused('stopped', stop);
+            return;
+        }
+    } catch (e) {
+        running = false;
+        self.postMessage({ type: 'error', message: e.message });
+        return;
+    }
+
+    const now = performance.now();
+    if (now - lastPost >= FRAME_MS) {
+        postProgress();
+        lastPost = now;
+    }
+    setTimeout(runFrame, Math.max(0, FRAME_MS - (now - start)));
+}
+
+function postProgress() {
+    const nn = trainer.nn;
+    self.postMessage({
+        type: 'progress',
+        epoch: trainer.epoch,
+        weights: nn.weights.map(w => ({ rows: w.rows, cols: w.cols, values: w.values })),
+        biases: nn.biases.map(b => ({ rows: b.rows, cols: b.cols, values: b.values })),
+        droppedNodes: nn.dropped_nodes,
+        history
+    });
+    history = [];
+}
+
+/**
+ * Sends the full network, including optimizer state, so the page can continue from exactly where the worker stopped.
+ */
+function postPaused(reason, stop = null) {
+    if (criteria) criteria.pause();
+    self.postMessage({
+        type: 'paused',
+        reason,
+        epoch: trainer ? trainer.epoch : 0,
+        network: trainer ? trainer.nn.serialize() : null,
+        droppedNodes: trainer ? trainer.nn.dropped_nodes : null,
+        history,
+        stop,
+        stoppingState: criteria ? criteria.state : null,
+        population: trainer instanceof Population ? trainer.serialize() : null
+    });
+    history = [];
+}
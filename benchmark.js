@@ -0,0 +1,121 @@
+// benchmark.js - Measures training throughput of the core network code in Node
+//
+// Usage: node benchmark.js [tree ...]
+// Each tree is a directory containing Matrix.js, Optimizer.js and NeuralNetwork.js (default: this directory).
+// Pass a checkout of an older revision alongside this one to compare before and after, e.g.
+//   git worktree add /tmp/before HEAD~1 && node benchmark.js /tmp/before .
+
+import fs from 'fs';
+import path from 'path';
+import vm from 'vm';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const SECONDS_PER_CASE = 2;
+const CORE_FILES = ['Matrix.js', 'Optimizer.js', 'NeuralNetwork.js'];
+
+/**
+ * Loads the NeuralNetwork class of a tree, so several trees can be compared in one run.
+ * Trees from before the core became ES modules are run as classic scripts in their own context.
+ */
+async function loadTree(dir) {
+    const module = await import(pathToFileURL(path.resolve(dir, 'NeuralNetwork.js')).href);
+    if (module.NeuralNetwork) {
+        return module.NeuralNetwork;
+    }
+    const context = vm.createContext({ console, Math });
+    // Older trees call p5's abs() and randomGaussian() from the core
+    context.abs = Math.abs;
+    context.randomGaussian = () => 0;
+    for (const file of CORE_FILES) {
+        const source = path.join(dir, file);
+        if (fs.existsSync(source)) {
+            vm.runInContext(fs.readFileSync(source, 'utf8'), context, { filename: source });
+        }
+    }
+    return vm.runInContext('NeuralNetwork', context);
+}
+
+function encoderRows() {
+    const data = JSON.parse(fs.readFileSync(path.join(__dirname, 'trainingData.json'), 'utf8'));
+    return data['Encoder 3bit'];
+}
+
+/**
+ * 32 random 20-bit patterns that a 20x20x20 network learns to reproduce.
+ */
+function autoencoderRows() {
+    const rows = [];
+    for (let r = 0; r < 32; r++) {
+        const bits = Array.from({ length: 20 }, (_, i) => ((r * 2654435761 >>> i) & 1));
+        rows.push({ inputs: bits, targets: bits });
+    }
+    return rows;
+}
+
+const cases = [
+    {
+        name: 'Encoder 3bit, online',
+        network: () => encoderRows().network,
+        rows: () => encoderRows().data,
+        batchSize: 1
+    },
+    {
+        name: 'Encoder 3bit, full batch',
+        network: () => encoderRows().network,
+        rows: () => encoderRows().data,
+        batchSize: 8
+    },
+    {
+        name: '20x20x20, online',
+        network: () => ({ inputNodes: 20, hiddenLayers: [20], outputNodes: 20, options: { activationFunctions: ['tanh', 'sigmoid'] } }),
+        rows: autoencoderRows,
+        batchSize: 1
+    },
+    {
+        name: '20x20x20, batch 32',
+        network: () => ({ inputNodes: 20, hiddenLayers: [20], outputNodes: 20, options: { activationFunctions: ['tanh', 'sigmoid'] } }),
+        rows: autoencoderRows,
+        batchSize: 32
+    }
+];
+
+/**
+ * Trains for SECONDS_PER_CASE and returns the number of training steps per second.
+ */
+function measure(NeuralNetwork, testCase) {
+    const config = testCase.network();
+    const rows = testCase.rows();
+    const nn = new NeuralNetwork(config.inputNodes, config.hiddenLayers, config.outputNodes, { ...config.options, debug: false });
+
+    const inputs = rows.map(row => row.inputs);
+    const targets = rows.map(row => row.targets);
+    const step = testCase.batchSize === 1 || typeof nn.trainBatch !== 'function'
+        ? (k) => nn.train(inputs[k % rows.length], targets[k % rows.length])
+        : () => nn.trainBatch(inputs, targets);
+
+    // Warm up the JIT before timing
+    for (let k = 0; k < 200; k++) step(k);
+
+    let steps = 0;
+    const start = process.hrtime.bigint();
+    const limit = BigInt(SECONDS_PER_CASE * 1e9);
+    while (process.hrtime.bigint() - start < limit) {
+        for (let k = 0; k < 50; k++) step(steps + k);
+        steps += 50;
+    }
+    const elapsed = Number(process.hrtime.bigint() - start) / 1e9;
+    return steps / elapsed;
+}
+
+const trees = process.argv.length > 2 ? process.argv.slice(2) : [__dirname];
+const networkClasses = await Promise.all(trees.map(loadTree));
+
+const header = ['Case', ...trees.map(tree => `${path.basename(path.resolve(tree))} (steps/s)`)];
+const table = cases.map(testCase => [testCase.name, ...networkClasses.map(NeuralNetwork => Math.round(measure(NeuralNetwork, testCase)))]);
+
+console.log(header.join(' | '));
+for (const row of table) {
+    console.log(row.join(' | '));
+}
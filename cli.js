@@ -0,0 +1,309 @@
+#!/usr/bin/env node
+// cli.js - Trains networks from trainingData.json without the browser
+//
+// Usage:
+//   node cli.js list [--data trainingData.json]
+//   node cli.js train <dataset> [--epochs 10000] [--batch-size 1] [--seed <n>|random] [--log-every 1000]
+//                    [--target-loss 0.001] [--target-accuracy <0-1>] [--accuracy-mode tolerance|argmax] [--tolerance 0.1]
+//                    [--time-limit <seconds>] [--patience <epochs>] [--min-delta 0] [--restore-best true|false]
+//                    [--mode backprop|evolution] [--population-size 50] [--elite-count 2] [--tournament-size 3]
+//                    [--crossover-rate 0.7] [--mutation-rate 0.05] [--data trainingData.json] [--out <dataset>_model.json]
+//   node cli.js gradient-check [--epsilon 1e-5] [--samples 3] [--seed 1|random]
+//   node cli.js tfjs-check [--samples 5] [--seed 1|random]
+//   node cli.js generate [<generator>] [--<parameter> <value> ...] [--out <generator>.json]
+//
+// Models are written in the page's Save Model format, so Load Model can open them.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { NeuralNetwork } from './NeuralNetwork.js';
+import { Trainer } from './Trainer.js';
+import { gradientCheckSuite, GRADIENT_CHECK_SEED, GRADIENT_CHECK_TOLERANCE } from './GradientCheck.js';
+import { Random } from './Random.js';
+import { StoppingCriteria, stoppingRuleLabels } from './StoppingCriteria.js';
+import { Population } from './Evolution.js';
+import { generators, generateDataset } from './DatasetGenerators.js';
+import { tfjsRoundTripSuite, TFJS_TOLERANCE } from './TfjsConverter.js';
+
+const MODEL_FORMAT = 'nnvisual-model';
+const MODEL_FORMAT_VERSION = 1;
+const DEFAULT_DATA_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), 'trainingData.json');
+// Epochs trained between checks of the stopping rules, like one frame of the page at its default speed
+const EPOCHS_PER_CHECK = 100;
+
+const USAGE = `Usage:
+  node cli.js list [--data trainingData.json]
+  node cli.js train <dataset> [--epochs 10000] [--batch-size 1] [--seed <n>|random] [--log-every 1000]
+                   [--target-loss 0.001] [--target-accuracy <0-1>] [--accuracy-mode tolerance|argmax] [--tolerance 0.1]
+                   [--time-limit <seconds>] [--patience <epochs>] [--min-delta 0] [--restore-best true|false]
+                   [--mode backprop|evolution] [--population-size 50] [--elite-count 2] [--tournament-size 3]
+                   [--crossover-rate 0.7] [--mutation-rate 0.05] [--data trainingData.json] [--out <dataset>_model.json]
+  node cli.js gradient-check [--epsilon 1e-5] [--samples 3] [--seed 1|random]
+  node cli.js tfjs-check [--samples 5] [--seed 1|random]
+  node cli.js generate [<generator>] [--<parameter> <value> ...] [--out <generator>.json]`;
+
+/**
+ * Splits the arguments into positionals and `--name value` options, converting option names to camelCase.
+ */
+function parseArgs(args) {
+    const positionals = [];
+    const options = {};
+    for (let i = 0; i < args.length; i++) {
+        if (args[i].startsWith('--')) {
+            const name = args[i].slice(2).replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+            if (i + 1 >= args.length) {
+                throw new Error(`Missing value for ${args[i]}.`);
+            }
+            options[name] = args[++i];
+        } else {
+            positionals.push(args[i]);
+        }
+    }
+    return { positionals, options };
+}
+
+function numberOption(options, name, fallback) {
+    if (options[name] === undefined) return fallback;
+    const value = Number(options[name]);
+    if (!Number.isFinite(value) || value < 0) {
+        throw new Error(`--${name.replace(/[A-Z]/g, c => '-' + c.toLowerCase())} must be a non-negative number.`);
+    }
+    return value;
+}
+
+/**
+ * The --seed option, or the fallback, or a new random seed; `--seed random` always draws a new one.
+ * Either way it is printed, so the run can be repeated.
+ */
+function seedOption(options, fallback) {
+    const seed = options.seed === 'random' ? Random.randomSeed()
+        : options.seed !== undefined ? Number(options.seed)
+        : fallback !== undefined ? fallback : Random.randomSeed();
+    if (!Number.isInteger(seed) || seed < 0 || seed > 0xFFFFFFFF) {
+        throw new Error('--seed must be an integer between 0 and 4294967295, or random.');
+    }
+    console.log(`Seed ${seed}`);
+    return seed;
+}
+
+/**
+ * The stopping rules: the dataset's "stopping" section overridden by the command-line options, with --epochs
+ * as the epoch limit.
+ */
+function stoppingOptions(options, defaults = {}) {
+    const stopping = { ...defaults };
+    for (const name of ['targetLoss', 'targetAccuracy', 'tolerance', 'timeLimit', 'patience', 'minDelta']) {
+        if (options[name] !== undefined) stopping[name] = numberOption(options, name);
+    }
+    if (options.accuracyMode !== undefined) stopping.accuracyMode = options.accuracyMode;
+    if (options.restoreBest !== undefined) stopping.restoreBest = options.restoreBest !== 'false';
+    stopping.maxEpochs = numberOption(options, 'epochs', defaults.maxEpochs !== undefined ? defaults.maxEpochs : 10000);
+    return stopping;
+}
+
+/**
+ * The genetic algorithm's settings: the dataset's "evolution" section overridden by the command-line options.
+ */
+function evolutionOptions(options, defaults = {}) {
+    const evolution = { ...defaults };
+    for (const name of ['populationSize', 'eliteCount', 'tournamentSize']) {
+        if (options[name] !== undefined) evolution[name] = Math.round(numberOption(options, name));
+    }
+    for (const name of ['crossoverRate', 'mutationRate']) {
+        if (options[name] !== undefined) evolution[name] = numberOption(options, name);
+    }
+    return evolution;
+}
+
+function loadDatasets(file) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Builds a network from a dataset's "network" section, with the same defaults as the page.
+ */
+function createNetwork(config, seed) {
+    return new NeuralNetwork(config.inputNodes, config.hiddenLayers, config.outputNodes, {
+        ...config.options,
+        learning_rate: (config.options && config.options.learning_rate) || 0.01,
+        seed,
+        debug: false
+    });
+}
+
+function formatEntry(entry) {
+    const parts = [`epoch ${entry.epoch}`, `loss ${entry.loss.toFixed(6)}`];
+    if (entry.accuracy !== null) parts.push(`accuracy ${(entry.accuracy * 100).toFixed(1)}%`);
+    if (entry.validationLoss !== null) parts.push(`validation loss ${entry.validationLoss.toFixed(6)}`);
+    if (entry.testLoss !== null) parts.push(`test loss ${entry.testLoss.toFixed(6)}`);
+    if (entry.learningRate !== null) parts.push(`learning rate ${Number(entry.learningRate.toPrecision(3))}`);
+    if (entry.meanFitness !== undefined) parts.push(`mean fitness ${entry.meanFitness.toFixed(6)}`);
+    return parts.join(', ');
+}
+
+function list(positionals, options) {
+    const datasets = loadDatasets(options.data || DEFAULT_DATA_FILE);
+    for (const [name, dataset] of Object.entries(datasets)) {
+        const config = dataset.network;
+        const layers = [config.inputNodes, ...config.hiddenLayers, config.outputNodes].join('x');
+        console.log(`${name}: ${layers}, ${dataset.data.length} rows`);
+    }
+}
+
+/**
+ * Trains a dataset until one of the stopping rules fires, then writes the model. With --mode evolution the
+ * network is evolved by a genetic algorithm, an epoch being a generation, and the model is its fittest individual.
+ */
+function train(positionals, options) {
+    const [name] = positionals;
+    if (!name) {
+        throw new Error(`Missing dataset name.\n${USAGE}`);
+    }
+    const datasets = loadDatasets(options.data || DEFAULT_DATA_FILE);
+    const dataset = datasets[name];
+    if (!dataset) {
+        throw new Error(`Unknown dataset "${name}". Run "node cli.js list" to see the datasets.`);
+    }
+    const batchSize = Math.max(1, Math.round(numberOption(options, 'batchSize', 1)));
+    const criteria = new StoppingCriteria(stoppingOptions(options, dataset.stopping));
+    const logEvery = numberOption(options, 'logEvery', 1000);
+
+    const split = { validation: 0, test: 0, seed: 42, ...dataset.split };
+    const indices = Trainer.splitDataset(dataset.data.length, split);
+    const rows = {
+        train: indices.train.map(i => dataset.data[i]),
+        validation: indices.validation.map(i => dataset.data[i]),
+        test: indices.test.map(i => dataset.data[i])
+    };
+
+    const seed = seedOption(options, dataset.network.options && dataset.network.options.seed);
+    const nn = createNetwork(dataset.network, seed);
+    const mode = options.mode || 'backprop';
+    if (mode !== 'backprop' && mode !== 'evolution') {
+        throw new Error('--mode must be backprop or evolution.');
+    }
+    const trainer = mode === 'evolution'
+        ? new Population(nn, rows, evolutionOptions(options, dataset.evolution))
+        : new Trainer(nn, rows, { batchSize });
+    let entry, stop = null;
+    let nextLog = logEvery;
+    criteria.begin();
+    while (!stop) {
+        trainer.trainEpochs(criteria.epochsAllowed(trainer.epoch, EPOCHS_PER_CHECK));
+        entry = trainer.evaluate();
+        if (logEvery > 0 && trainer.epoch >= nextLog) {
+            console.log(formatEntry(entry));
+            nextLog += logEvery;
+        }
+        stop = criteria.check(trainer, entry);
+    }
+    console.log(`Stopped after ${trainer.epoch} epochs by the ${stoppingRuleLabels[stop.rule]}: ${stop.message}.`);
+    if (stop.restoredEpoch !== null) {
+        console.log(`Restored the weights from epoch ${stop.restoredEpoch}.`);
+        entry = { ...trainer.evaluate(), epoch: stop.restoredEpoch };
+    }
+    console.log(formatEntry(entry));
+
+    const model = {
+        format: MODEL_FORMAT,
+        version: MODEL_FORMAT_VERSION,
+        dataset: name,
+        epoch: trainer.epoch,
+        settings: {
+            batchSize,
+            split,
+            stopping: criteria.options,
+            mode,
+            evolution: mode === 'evolution' ? trainer.options : null
+        },
+        network: JSON.parse(trainer.nn.serialize())
+    };
+    const out = options.out || `${name.replace(/\s+/g, '_')}_model.json`;
+    fs.writeFileSync(out, JSON.stringify(model, null, 2));
+    console.log(`Wrote ${out}`);
+}
+
+/**
+ * Checks backpropagation against finite differences for every activation and loss combination.
+ * @returns {number} The exit code: 1 when any combination fails.
+ */
+function gradientCheck(positionals, options) {
+    const epsilon = numberOption(options, 'epsilon', 1e-5);
+    const samples = Math.max(1, Math.round(numberOption(options, 'samples', 3)));
+    const results = gradientCheckSuite({ epsilon, samples, seed: seedOption(options, GRADIENT_CHECK_SEED) });
+
+    let failures = 0, skipped = 0;
+    for (const result of results) {
+        const name = `${result.hidden} -> ${result.output}, ${result.loss}`;
+        if (result.skipped) {
+            skipped++;
+            continue;
+        }
+        console.log(`${result.passed ? 'ok  ' : 'FAIL'} ${name}: max relative error ${result.maxError.toExponential(2)}`);
+        if (!result.passed) {
+            failures++;
+            for (const layer of result.layers) {
+                console.log(`       layer ${layer.layer + 1}: weights ${layer.weightError.toExponential(2)}, biases ${layer.biasError.toExponential(2)}`);
+            }
+        }
+    }
+    console.log(`${results.length - skipped - failures} passed, ${failures} failed, ${skipped} skipped (cross-entropy needs sigmoid, hard-sigmoid or softmax outputs); tolerance ${GRADIENT_CHECK_TOLERANCE}`);
+    return failures > 0 ? 1 : 0;
+}
+
+/**
+ * Exports every tfjs-supported activation to a TensorFlow.js model and back, comparing predictions.
+ * @returns {number} The exit code: 1 when any activation fails.
+ */
+function tfjsCheck(positionals, options) {
+    const samples = Math.max(1, Math.round(numberOption(options, 'samples', 5)));
+    const results = tfjsRoundTripSuite({ samples, seed: seedOption(options, 1) });
+
+    let failures = 0;
+    for (const result of results) {
+        console.log(`${result.passed ? 'ok  ' : 'FAIL'} ${result.activation} (${result.loss}): max prediction difference ${result.maxError.toExponential(2)}`);
+        if (!result.passed) failures++;
+    }
+    console.log(`${results.length - failures} passed, ${failures} failed; tolerance ${TFJS_TOLERANCE}`);
+    return failures > 0 ? 1 : 0;
+}
+
+/**
+ * Writes a generated dataset as a trainingData.json file of one dataset, which train accepts with --data.
+ * Without a generator name, lists the generators and their parameters.
+ */
+function generate(positionals, options) {
+    const [name] = positionals;
+    if (!name) {
+        for (const [key, generator] of Object.entries(generators)) {
+            const params = Object.entries(generator.params).map(([param, spec]) => `--${param} ${spec.value}`);
+            console.log(`${key}: ${generator.label} [${params.join(' ')}]`);
+        }
+        return;
+    }
+    const { out, ...params } = options;
+    const generated = generateDataset(name, params);
+    const file = out || `${name}.json`;
+    fs.writeFileSync(file, JSON.stringify({ [generated.name]: generated.dataset }, null, 2));
+    console.log(`Wrote "${generated.name}" (${generated.dataset.data.length} rows) to ${file}`);
+}
+
+const commands = { list, train, 'gradient-check': gradientCheck, 'tfjs-check': tfjsCheck, generate };
+
+function main(args) {
+    const [command, ...rest] = args;
+    if (!commands[command]) {
+        console.error(USAGE);
+        return 1;
+    }
+    try {
+        const { positionals, options } = parseArgs(rest);
+        return commands[command](positionals, options) || 0;
+    } catch (e) {
+        console.error(`Error: ${e.message}`);
+        return 1;
+    }
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,48 @@
+// core.js - Exposes the ES-module network core to the page's classic scripts
+//
+// Module scripts run after the classic ones but before p5 calls preload() and setup(),
+// so the classic scripts can use these globals from any function they define.
+
+import { Matrix, normaliseMatrix } from './Matrix.js';
+import { Optimizer, optimizers, createOptimizer } from './Optimizer.js';
+import { NeuralNetwork, activations, activation_derivatives, losses, loss_derivatives } from './NeuralNetwork.js';
+import { Trainer } from './Trainer.js';
+import { Random } from './Random.js';
+import { initializers, biasInitializers, parseInitializer } from './Initializers.js';
+import { LearningRateSchedule, schedules, createSchedule } from './LearningRateSchedule.js';
+import { StoppingCriteria, DEFAULT_STOPPING, stoppingRuleLabels } from './StoppingCriteria.js';
+import { Population, DEFAULT_EVOLUTION } from './Evolution.js';
+import { classificationMetrics } from './Metrics.js';
+import { generators, generateDataset } from './DatasetGenerators.js';
+import { TfjsConverter, TFJS_TOLERANCE } from './TfjsConverter.js';
+
+Object.assign(window, {
+    Matrix,
+    normaliseMatrix,
+    Optimizer,
+    optimizers,
+    createOptimizer,
+    NeuralNetwork,
+    activations,
+    activation_derivatives,
+    losses,
+    loss_derivatives,
+    Trainer,
+    Random,
+    initializers,
+    biasInitializers,
+    parseInitializer,
+    LearningRateSchedule,
+    schedules,
+    createSchedule,
+    StoppingCriteria,
+    DEFAULT_STOPPING,
+    stoppingRuleLabels,
+    Population,
+    DEFAULT_EVOLUTION,
+    classificationMetrics,
+    generators,
+    generateDataset,
+    TfjsConverter,
+    TFJS_TOLERANCE
+});
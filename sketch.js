@@ -1,19 +1,117 @@
 let WIDTH = 600;
 let HEIGHT = 400;
-let nn, nnv;
-const ERROR_THRESHOLD = 0.001;
+let nn, nnv, lossChart, fitnessChart, decisionBoundary, evaluationPanel, timeline, datasetEditor, datasetImporter, datasetGeneratorPanel;
 let currentInputIndex = 0;
 let datasets;
+// The datasets as trainingData.json defines them, before saved copies replace or join them
+let builtInDatasets;
 let currentDatasetName = 'Encoder 3bit';
-let isTraining = false;
+let trainingWorker;
+// Custom activations whose source text does not rebuild in the training worker; the selects leave them out
+const untrainableActivations = new Set();
+// 'idle', 'running', or 'waiting' for the worker to hand the network back after a pause or step
+let trainingState = 'idle';
 let epochsPerFrame = 100;
+let trainingEpoch = 0;
+let batchSize = 1;
+let datasetSplit = { train: [], validation: [], test: [] };
 const WEIGHT_THRESHOLD = 0.5; // You can adjust this value as needed
 
 let inputValElem, predictedOutputValElem, targetOutputValElem, selectedNodeInfoElem, trainingMessageElem;
 let datasetSelect, trainBtn, epochsSlider, epochsVal, hiddenLayersContainer, addLayerBtn, updateArchBtn, activationFunctionsContainer;
 let testDataSelect, trainingStatusElem, playIcon, pauseIcon, buttonText;
+let logScaleToggle, exportHistoryCsvBtn, exportHistoryJsonBtn, lossSelect, lossValElem, optimizerSelect;
+let batchSizeSlider, batchSizeVal;
+let validationSplitSlider, validationSplitVal, testSplitSlider, testSplitVal, splitSeedInput;
+let downloadModelBtn, loadModelBtn, modelFileInput;
+let exportTfjsBtn, importTfjsBtn, tfjsFileInput;
+let boundaryPanel, boundaryOutputSelect, boundaryMinInput, boundaryMaxInput;
+let timelinePlayBtn, timelineSlider, timelineLabel, timelineSpeedSelect, snapshotIntervalInput;
+let backpropStepBtn, backpropExitBtn, stepBtn;
+let seedInput, newSeedBtn, biasInitSelect;
+let l1Input, l2Input;
+let learningRateInput, scheduleSelect, scheduleOptionsContainer, learningRateStatusElem;
+let targetLossInput, targetAccuracyInput, accuracyModeSelect, toleranceInput, maxEpochsInput, timeLimitInput;
+let patienceInput, minDeltaInput, restoreBestToggle, stoppingStatusElem;
+// The stopping rules' options, and the state the worker's last session ended with (the time used and the best
+// validation loss), which carries over pauses until the training history is reset. The settings are filled in by
+// loadStoppingSettings() from setup(): DEFAULT_STOPPING comes from core.js, which runs after this script loads
+let stoppingSettings = null;
+let stoppingState = null;
+let trainingModeSelect, evolutionOptionsContainer, fitnessPanel;
+let populationSizeInput, eliteCountInput, tournamentSizeInput, crossoverRateInput, mutationRateInput;
+// 'backprop' or 'evolution'. While evolving, trainingEpoch counts generations and nn is the fittest individual;
+// populationState is the serialized population the worker last paused with, null until a run starts.
+// evolutionSettings is filled in by loadEvolutionSettings() from setup(), once core.js has defined DEFAULT_EVOLUTION
+let trainingMode = 'backprop';
+let evolutionSettings = null;
+let populationState = null;
 
-const activationFunctionNames = ['sigmoid', 'relu', 'tanh', 'identity', 'softmax'];
+// Timeline replay state: timelineIndex is null while showing the live network
+let timelineIndex = null;
+let timelineNetwork = null;
+let isReplaying = false;
+let replayPosition = 0;
+let lastReplayTime = 0;
+const REPLAY_SNAPSHOTS_PER_SECOND = 10;
+
+const MODEL_FORMAT = 'nnvisual-model';
+const MODEL_FORMAT_VERSION = 1;
+// The inputs a custom activation rebuilt from its source text must agree with the original on
+const ACTIVATION_CHECK_POINTS = [-2, -0.5, 0, 0.5, 2];
+
+const lossFunctionLabels = {
+  mse: 'Mean Squared Error',
+  binaryCrossEntropy: 'Binary Cross-Entropy',
+  categoricalCrossEntropy: 'Categorical Cross-Entropy',
+  huber: 'Huber'
+};
+const optimizerLabels = {
+  sgd: 'SGD',
+  momentum: 'SGD + Momentum',
+  nesterov: 'Nesterov Momentum',
+  rmsprop: 'RMSProp',
+  adam: 'Adam'
+};
+const initializerLabels = {
+  default: 'Default (uniform)',
+  xavierUniform: 'Xavier Uniform',
+  xavierNormal: 'Xavier Normal',
+  heUniform: 'He Uniform',
+  heNormal: 'He Normal',
+  lecunUniform: 'LeCun Uniform',
+  lecunNormal: 'LeCun Normal',
+  orthogonal: 'Orthogonal',
+  smallUniform: 'Small Uniform (±0.01)',
+  smallNormal: 'Small Normal (σ 0.01)',
+  constant: 'Constant',
+  zeros: 'Zeros'
+};
+const scheduleLabels = {
+  constant: 'Constant',
+  step: 'Step Decay',
+  exponential: 'Exponential Decay',
+  cosine: 'Cosine Annealing',
+  warmup: 'Linear Warmup',
+  plateau: 'Reduce on Plateau'
+};
+const scheduleOptionLabels = {
+  stepSize: 'Step (epochs)',
+  gamma: 'Decay factor',
+  period: 'Period (epochs)',
+  minFactor: 'Min factor',
+  warmupEpochs: 'Warmup (epochs)',
+  startFactor: 'Start factor',
+  factor: 'Reduce factor',
+  patience: 'Patience (epochs)',
+  threshold: 'Threshold'
+};
+const trainingModeLabels = {
+  backprop: 'Backpropagation',
+  evolution: 'Neuroevolution'
+};
+const SYMMETRIC_INITIALIZERS = ['constant', 'zeros'];
+const MAX_DROPOUT = 0.9;
 
 function preload() {
   datasets = loadJSON('trainingData.json');
@@ -44,10 +142,102 @@ function setup() {
   playIcon = document.getElementById('play-icon');
   pauseIcon = document.getElementById('pause-icon');
   buttonText = document.getElementById('button-text');
+  logScaleToggle = document.getElementById('log-scale-toggle');
+  exportHistoryCsvBtn = document.getElementById('export-history-csv-btn');
+  exportHistoryJsonBtn = document.getElementById('export-history-json-btn');
+  lossSelect = document.getElementById('loss-select');
+  lossValElem = document.getElementById('loss-val');
+  optimizerSelect = document.getElementById('optimizer-select');
+  biasInitSelect = document.getElementById('bias-init-select');
+  l1Input = document.getElementById('l1-input');
+  l2Input = document.getElementById('l2-input');
+  learningRateInput = document.getElementById('learning-rate-input');
+  scheduleSelect = document.getElementById('schedule-select');
+  scheduleOptionsContainer = document.getElementById('schedule-options-container');
+  learningRateStatusElem = document.getElementById('learning-rate-status');
+  targetLossInput = document.getElementById('target-loss-input');
+  targetAccuracyInput = document.getElementById('target-accuracy-input');
+  accuracyModeSelect = document.getElementById('accuracy-mode-select');
+  toleranceInput = document.getElementById('tolerance-input');
+  maxEpochsInput = document.getElementById('max-epochs-input');
+  timeLimitInput = document.getElementById('time-limit-input');
+  patienceInput = document.getElementById('patience-input');
+  minDeltaInput = document.getElementById('min-delta-input');
+  restoreBestToggle = document.getElementById('restore-best-toggle');
+  stoppingStatusElem = document.getElementById('stopping-status');
+  trainingModeSelect = document.getElementById('training-mode-select');
+  evolutionOptionsContainer = document.getElementById('evolution-options-container');
+  fitnessPanel = document.getElementById('fitness-panel');
+  populationSizeInput = document.getElementById('population-size-input');
+  eliteCountInput = document.getElementById('elite-count-input');
+  tournamentSizeInput = document.getElementById('tournament-size-input');
+  crossoverRateInput = document.getElementById('crossover-rate-input');
+  mutationRateInput = document.getElementById('mutation-rate-input');
+  batchSizeSlider = document.getElementById('batch-size-slider');
+  batchSizeVal = document.getElementById('batch-size-val');
+  validationSplitSlider = document.getElementById('validation-split-slider');
+  validationSplitVal = document.getElementById('validation-split-val');
+  testSplitSlider = document.getElementById('test-split-slider');
+  testSplitVal = document.getElementById('test-split-val');
+  splitSeedInput = document.getElementById('split-seed-input');
+  downloadModelBtn = document.getElementById('download-model-btn');
+  loadModelBtn = document.getElementById('load-model-btn');
+  modelFileInput = document.getElementById('model-file-input');
+  exportTfjsBtn = document.getElementById('export-tfjs-btn');
+  importTfjsBtn = document.getElementById('import-tfjs-btn');
+  tfjsFileInput = document.getElementById('tfjs-file-input');
+  boundaryPanel = document.getElementById('decision-boundary-panel');
+  boundaryOutputSelect = document.getElementById('boundary-output-select');
+  boundaryMinInput = document.getElementById('boundary-min-input');
+  boundaryMaxInput = document.getElementById('boundary-max-input');
+  timelinePlayBtn = document.getElementById('timeline-play-btn');
+  timelineSlider = document.getElementById('timeline-slider');
+  timelineLabel = document.getElementById('timeline-label');
+  timelineSpeedSelect = document.getElementById('timeline-speed-select');
+  snapshotIntervalInput = document.getElementById('snapshot-interval-input');
+  backpropStepBtn = document.getElementById('backprop-step-btn');
+  backpropExitBtn = document.getElementById('backprop-exit-btn');
+  stepBtn = document.getElementById('step-btn');
+  seedInput = document.getElementById('seed-input');
+  newSeedBtn = document.getElementById('new-seed-btn');
+  seedInput.value = Random.randomSeed();
+
+  lossChart = new LossChart('loss-chart-container', WIDTH, 180);
+  fitnessChart = new FitnessChart('fitness-chart-container', WIDTH, 150);
+  decisionBoundary = new DecisionBoundary('decision-boundary-container', 360, 360);
+  evaluationPanel = new EvaluationPanel('evaluation-container', {
+    onSelectRow: selectTestCase,
+    onMessage: displayTrainingMessage
+  });
+  timeline = new TrainingTimeline({ interval: parseInt(snapshotIntervalInput.value) });
+  builtInDatasets = JSON.parse(JSON.stringify(datasets));
+  DatasetEditor.loadPersisted(datasets);
+  datasetEditor = new DatasetEditor('dataset-editor-container', datasets, {
+    activationFunctionNames: trainableActivationNames(),
+    onApply: handleDatasetEdited,
+    onDownload: json => downloadFile('trainingData.json', json, 'application/json'),
+    onDelete: handleDatasetDeleted,
+    onMessage: displayTrainingMessage
+  });
+  datasetImporter = new DatasetImporter('dataset-import-container', datasets, {
+    onImport: handleDatasetImported,
+    onMessage: displayTrainingMessage
+  });
+  datasetGeneratorPanel = new DatasetGeneratorPanel('dataset-generator-container', {
+    onGenerate: handleDatasetGenerated,
+    onMessage: displayTrainingMessage
+  });
 
   // Add event listeners
+  trainingWorker = new Worker('TrainingWorker.js', { type: 'module' });
+  trainingWorker.onmessage = handleWorkerMessage;
+  NeuralNetwork.addActivationListener(handleActivationRegistered);
+  // Activations registered before setup() reached no listener, so the new worker gets them now
+  NeuralNetwork.registeredActivations().forEach(({ name, fn, derivative }) => handleActivationRegistered(name, fn, derivative));
+
   datasetSelect.addEventListener('change', handleDatasetChange);
   trainBtn.addEventListener('click', toggleTraining);
+  stepBtn.addEventListener('click', stepTraining);
   epochsSlider.addEventListener('input', () => {
     let rawValue = parseInt(epochsSlider.value);
     
@@ -60,26 +250,71 @@ function setup() {
     }
     
     epochsVal.textContent = epochsPerFrame;
+    trainingWorker.postMessage({ type: 'configure', epochsPerFrame });
 });
   addLayerBtn.addEventListener('click', addHiddenLayerControls);
-  updateArchBtn.addEventListener('click', updateArchitecture);
-  testDataSelect.addEventListener('change', (event) => {
-    currentInputIndex = event.target.value;
-    updateNodeInfoPanel({ type: 'none' });
+  updateArchBtn.addEventListener('click', () => updateArchitecture());
+  seedInput.addEventListener('change', handleSeedChange);
+  newSeedBtn.addEventListener('click', () => {
+    seedInput.value = Random.randomSeed();
+    handleSeedChange();
+  });
+  testDataSelect.addEventListener('change', (event) => selectTestCase(parseInt(event.target.value)));
+  logScaleToggle.addEventListener('change', () => lossChart.setLogScale(logScaleToggle.checked));
+  exportHistoryCsvBtn.addEventListener('click', () => exportTrainingHistory('csv'));
+  exportHistoryJsonBtn.addEventListener('click', () => exportTrainingHistory('json'));
+  boundaryOutputSelect.addEventListener('change', () => decisionBoundary.setOutputIndex(parseInt(boundaryOutputSelect.value)));
+  boundaryMinInput.addEventListener('change', handleBoundaryRangeChange);
+  boundaryMaxInput.addEventListener('change', handleBoundaryRangeChange);
+  timelinePlayBtn.addEventListener('click', toggleReplay);
+  timelineSlider.addEventListener('input', () => {
+    isReplaying = false;
+    showTimelinePosition(parseInt(timelineSlider.value));
+  });
+  snapshotIntervalInput.addEventListener('change', handleSnapshotIntervalChange);
+  backpropStepBtn.addEventListener('click', runBackpropStep);
+  backpropExitBtn.addEventListener('click', exitBackpropMode);
+  lossSelect.addEventListener('change', handleLossChange);
+  optimizerSelect.addEventListener('change', handleOptimizerChange);
+  l1Input.addEventListener('change', handleRegularizationChange);
+  l2Input.addEventListener('change', handleRegularizationChange);
+  learningRateInput.addEventListener('change', handleLearningRateChange);
+  scheduleSelect.addEventListener('change', () => handleScheduleChange(scheduleSelect.value));
+  [targetLossInput, targetAccuracyInput, accuracyModeSelect, toleranceInput, maxEpochsInput, timeLimitInput,
+    patienceInput, minDeltaInput, restoreBestToggle].forEach(control => control.addEventListener('change', handleStoppingChange));
+  trainingModeSelect.addEventListener('change', handleTrainingModeChange);
+  [populationSizeInput, eliteCountInput, tournamentSizeInput, crossoverRateInput, mutationRateInput]
+    .forEach(input => input.addEventListener('change', handleEvolutionChange));
+  batchSizeSlider.addEventListener('input', () => {
+    batchSize = parseInt(batchSizeSlider.value);
+    updateBatchSizeLabel();
+    trainingWorker.postMessage({ type: 'configure', batchSize });
+  });
+  validationSplitSlider.addEventListener('input', handleSplitChange);
+  testSplitSlider.addEventListener('input', handleSplitChange);
+  splitSeedInput.addEventListener('change', handleSplitChange);
+  downloadModelBtn.addEventListener('click', downloadModel);
+  loadModelBtn.addEventListener('click', () => modelFileInput.click());
+  modelFileInput.addEventListener('change', () => {
+    if (modelFileInput.files.length > 0) readModelFile(modelFileInput.files[0]);
+    modelFileInput.value = '';
+  });
+  exportTfjsBtn.addEventListener('click', exportTfjsModel);
+  importTfjsBtn.addEventListener('click', () => tfjsFileInput.click());
+  tfjsFileInput.addEventListener('change', () => {
+    if (tfjsFileInput.files.length > 0) readTfjsFiles(Array.from(tfjsFileInput.files));
+    tfjsFileInput.value = '';
   });
 
   // We no longer need a window resize handler for the canvas
   // window.addEventListener('resize', handleResize);
 
   populateDatasetSelect();
-  datasetSelect.value = currentDatasetName;
-
-  const defaultLayers = datasets[currentDatasetName].network.hiddenLayers;
-  const defaultActivations = datasets[currentDatasetName].network.options.activationFunctions;
-  defaultLayers.forEach((numNodes, index) => addHiddenLayerControls(numNodes, defaultActivations[index]));
-  addOutputLayerControls(defaultActivations[defaultActivations.length - 1]);
-  setupNetwork(currentDatasetName);
-  populateTestDataSelect();
+  populateLossSelect();
+  populateOptimizerSelect();
+  populateScheduleSelect();
+  fillInitializerSelect(biasInitSelect, 'default', biasInitializers);
+  selectDataset(currentDatasetName);
 }
 
 // The handleResize function has been removed.
@@ -87,27 +322,233 @@ function setup() {
 function draw() {
   background(15, 23, 42);
 
-  if (isTraining) {
-    let totalError = 0;
-    for (let i = 0; i < epochsPerFrame; i++) {
-      let data = random(datasets[currentDatasetName].data);
-      nn.train(data.inputs, data.targets);
-    }
-
-    for (let data of datasets[currentDatasetName].data) {
-      let outputs = nn.predict(data.inputs);
-      totalError += nn.calculateError(outputs, data.targets);
-    }
-
-    if (totalError / datasets[currentDatasetName].data.length < ERROR_THRESHOLD) {
-      stopTraining('Training Complete! Network has learned the pattern.');
-    }
+  if (isReplaying) {
+    advanceReplay();
   }
 
+  const network = timelineIndex === null ? nn : timelineNetwork;
   const data = datasets[currentDatasetName].data[currentInputIndex];
-  const outputs = nn.predict(data.inputs);
+  const outputs = network.predict(data.inputs);
   nnv.show(data.inputs, outputs, currentInputIndex);
   updateDataPanel(data.inputs, outputs, data.targets);
+  lossChart.show();
+  if (trainingMode === 'evolution') {
+    fitnessChart.show();
+  }
+  if (nn.input_nodes === 2) {
+    decisionBoundary.show(network, getSplitRows('train'), isTrainingActive() || isReplaying);
+  }
+  evaluationPanel.show(network, getEvaluationRows);
+}
+
+/**
+ * The rows the evaluation panel scores, and their dataset indices: every row, or one split part.
+ */
+function getEvaluationRows(part) {
+  const rows = datasets[currentDatasetName].data;
+  const indices = part === 'all' ? rows.map((_, index) => index) : datasetSplit[part];
+  return { rows: indices.map(index => rows[index]), indices };
+}
+
+function getSplitRows(part) {
+  const rows = datasets[currentDatasetName].data;
+  return datasetSplit[part].map(index => rows[index]);
+}
+
+function getSplitPart(index) {
+  if (datasetSplit.validation.includes(index)) return 'validation';
+  if (datasetSplit.test.includes(index)) return 'test';
+  return 'train';
+}
+
+/**
+ * Applies a dataset's optional "split" section to the split controls and partitions its rows.
+ */
+function loadSplitSettings(datasetName) {
+  const split = datasets[datasetName].split || {};
+  validationSplitSlider.value = Math.round((split.validation || 0) * 100);
+  testSplitSlider.value = Math.round((split.test || 0) * 100);
+  splitSeedInput.value = split.seed !== undefined ? split.seed : 42;
+  applySplit();
+}
+
+function applySplit() {
+  const split = {
+    validation: parseInt(validationSplitSlider.value) / 100,
+    test: parseInt(testSplitSlider.value) / 100,
+    seed: parseInt(splitSeedInput.value) || 0
+  };
+  validationSplitVal.textContent = `${validationSplitSlider.value}%`;
+  testSplitVal.textContent = `${testSplitSlider.value}%`;
+  datasetSplit = Trainer.splitDataset(datasets[currentDatasetName].data.length, split);
+}
+
+// The split controls are disabled while training, so the split never changes mid-run
+function handleSplitChange() {
+  applySplit();
+  populateTestDataSelect();
+  updateBatchSizeSlider();
+  resetTrainingHistory();
+  decisionBoundary.invalidate();
+}
+
+function resetTrainingHistory() {
+  trainingEpoch = 0;
+  stoppingState = null;
+  stoppingStatusElem.textContent = '';
+  populationState = null;
+  fitnessChart.reset();
+  nn.schedule.reset();
+  showLearningRateStatus();
+  lossChart.reset();
+  lossChart.setLossLabel(lossFunctionLabels[nn.loss.name]);
+  timeline.reset();
+  isReplaying = false;
+  showTimelinePosition(null);
+}
+
+/**
+ * Shows a recorded snapshot in the visualisation, or the live network when index is null
+ * or past the last snapshot. The slider's last position is the live network.
+ */
+function showTimelinePosition(index) {
+  if (index === null || index >= timeline.length) {
+    timelineIndex = null;
+    timelineNetwork = null;
+    nnv.setNetwork(nn);
+  } else {
+    timelineIndex = index;
+    timelineNetwork = timeline.networkAt(index, nn);
+    nnv.setNetwork(timelineNetwork);
+  }
+  updateTimelineControls();
+  updateBackpropControls();
+}
+
+function updateTimelineControls() {
+  timelineSlider.max = timeline.length;
+  timelineSlider.value = timelineIndex === null ? timeline.length : timelineIndex;
+  timelineLabel.textContent = timelineIndex === null ? 'Live' : `Epoch ${timeline.epochAt(timelineIndex)}`;
+  timelinePlayBtn.textContent = isReplaying ? 'Pause' : 'Replay';
+}
+
+function toggleReplay() {
+  if (isReplaying) {
+    isReplaying = false;
+    updateTimelineControls();
+    return;
+  }
+  if (timeline.length < 2) {
+    displayTrainingMessage('Train the network first to record snapshots to replay.', 'error');
+    return;
+  }
+  isReplaying = true;
+  replayPosition = timelineIndex === null ? 0 : timelineIndex;
+  lastReplayTime = millis();
+  showTimelinePosition(Math.floor(replayPosition));
+}
+
+/**
+ * Steps the replay forward according to the elapsed time and selected speed, ending on the live network.
+ */
+function advanceReplay() {
+  const now = millis();
+  replayPosition += ((now - lastReplayTime) / 1000) * REPLAY_SNAPSHOTS_PER_SECOND * parseFloat(timelineSpeedSelect.value);
+  lastReplayTime = now;
+
+  const index = Math.floor(replayPosition);
+  if (index >= timeline.length) {
+    isReplaying = false;
+    showTimelinePosition(null);
+  } else if (index !== timelineIndex) {
+    showTimelinePosition(index);
+  }
+}
+
+/**
+ * Trains the live network for one step on the selected test case and shows that step's backward pass.
+ */
+function runBackpropStep() {
+  if (isTrainingActive()) {
+    displayTrainingMessage('Please pause training before stepping through backpropagation.', 'error');
+    return;
+  }
+  isReplaying = false;
+  showTimelinePosition(null);
+
+  const data = datasets[currentDatasetName].data[currentInputIndex];
+  // Like the worker's Trainer, set the schedule to this step's epoch so it uses the current learning rate
+  nn.schedule.epoch = trainingEpoch;
+  const step = nn.train(data.inputs, data.targets);
+  trainingEpoch++;
+  // The weights changed but nn is the same object, so the boundary panel would not notice by itself
+  decisionBoundary.invalidate();
+  timeline.record(nn, trainingEpoch);
+  nn.schedule.epoch = trainingEpoch;
+  showLearningRateStatus();
+  nnv.setBackpropStep(step);
+  updateTimelineControls();
+  updateBackpropControls();
+  updateNodeInfoPanel({ type: 'none' });
+}
+
+/**
+ * Shows a dataset row in the network view and the prediction panel.
+ */
+function selectTestCase(index) {
+  if (isTrainingActive()) {
+    displayTrainingMessage('Please pause training before selecting a test case.', 'error');
+    return;
+  }
+  currentInputIndex = index;
+  testDataSelect.value = index;
+  exitBackpropMode();
+  updateNodeInfoPanel({ type: 'none' });
+}
+
+function exitBackpropMode() {
+  nnv.setBackpropStep(null);
+  updateBackpropControls();
+}
+
+function updateBackpropControls() {
+  backpropStepBtn.textContent = nnv.backpropStep ? 'Next Step' : 'Backprop Step';
+  backpropExitBtn.classList.toggle('hidden', !nnv.backpropStep);
+}
+
+function handleSnapshotIntervalChange() {
+  const interval = parseInt(snapshotIntervalInput.value);
+  if (!Number.isInteger(interval) || interval < 1) {
+    snapshotIntervalInput.value = timeline.baseInterval;
+    displayTrainingMessage('The snapshot interval must be at least 1 epoch.', 'error');
+    return;
+  }
+  timeline.setSnapshotInterval(interval);
+}
+
+function exportTrainingHistory(format) {
+  if (lossChart.history.length === 0) {
+    displayTrainingMessage('No training history to export yet.', 'error');
+    return;
+  }
+  const baseName = `${currentDatasetName.replace(/\s+/g, '_')}_history`;
+  if (format === 'csv') {
+    downloadFile(`${baseName}.csv`, lossChart.toCSV(), 'text/csv');
+  } else {
+    downloadFile(`${baseName}.json`, lossChart.toJSON(), 'application/json');
+  }
+}
+
+function downloadFile(filename, content, mimeType) {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
 }
 
 function populateDatasetSelect() {
@@ -122,21 +563,364 @@ function populateDatasetSelect() {
   }
 }
 
-function stopTraining(message) {
-  isTraining = false;
+function populateLossSelect() {
+  lossSelect.innerHTML = '';
+  for (const name in lossFunctionLabels) {
+    const option = document.createElement('option');
+    option.value = name;
+    option.textContent = lossFunctionLabels[name];
+    lossSelect.appendChild(option);
+  }
+}
+
+function handleLossChange() {
+  if (isTrainingActive()) {
+    lossSelect.value = nn.loss.name;
+    displayTrainingMessage('Please pause training before changing the loss function.', 'error');
+    return;
+  }
+  nn.setLoss(lossSelect.value);
+  resetTrainingHistory();
+  displayTrainingMessage(`Loss function set to ${lossFunctionLabels[nn.loss.name]}.`, 'info');
+}
+
+function updateBatchSizeSlider() {
+  const numRows = datasetSplit.train.length;
+  batchSizeSlider.max = numRows;
+  batchSize = Math.min(batchSize, numRows);
+  batchSizeSlider.value = batchSize;
+  updateBatchSizeLabel();
+}
+
+function updateBatchSizeLabel() {
+  const numRows = datasetSplit.train.length;
+  const mode = batchSize === 1 ? 'online' : batchSize >= numRows ? 'full batch' : 'mini-batch';
+  batchSizeVal.textContent = `${batchSize} (${mode})`;
+}
+
+function populateOptimizerSelect() {
+  optimizerSelect.innerHTML = '';
+  for (const name in optimizerLabels) {
+    const option = document.createElement('option');
+    option.value = name;
+    option.textContent = optimizerLabels[name];
+    optimizerSelect.appendChild(option);
+  }
+}
+
+function handleOptimizerChange() {
+  if (isTrainingActive()) {
+    optimizerSelect.value = nn.optimizer.name;
+    displayTrainingMessage('Please pause training before changing the optimizer.', 'error');
+    return;
+  }
+  nn.setOptimizer(optimizerSelect.value);
+  displayTrainingMessage(`Optimizer set to ${optimizerLabels[nn.optimizer.name]}.`, 'info');
+}
+
+function populateScheduleSelect() {
+  scheduleSelect.innerHTML = '';
+  for (const name in scheduleLabels) {
+    const option = document.createElement('option');
+    option.value = name;
+    option.textContent = scheduleLabels[name];
+    scheduleSelect.appendChild(option);
+  }
+}
+
+/**
+ * Shows the network's learning rate and schedule, with an input for each of the schedule's parameters.
+ */
+function showLearningRateSettings() {
+  learningRateInput.value = nn.learning_rate;
+  scheduleSelect.value = nn.schedule.name;
+  scheduleOptionsContainer.innerHTML = '';
+  for (const [key, value] of Object.entries(nn.schedule.options)) {
+    const div = document.createElement('div');
+    const label = document.createElement('label');
+    label.className = 'block text-xs font-medium text-neural-400 mb-1';
+    label.textContent = scheduleOptionLabels[key] || key;
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.value = value;
+    input.min = '0';
+    input.step = 'any';
+    input.dataset.option = key;
+    input.className = 'w-full px-2 py-1 bg-neural-700/50 border border-neural-600/50 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent text-neural-100 text-xs md:text-sm';
+    input.addEventListener('change', () => handleScheduleChange(nn.schedule.name));
+    div.appendChild(label);
+    div.appendChild(input);
+    scheduleOptionsContainer.appendChild(div);
+  }
+  showLearningRateStatus();
+}
+
+/**
+ * Shows the effective learning rate in the status area: the given one from the worker's history while it trains,
+ * otherwise the rate the network's next step would use.
+ */
+function showLearningRateStatus(rate = nn.currentLearningRate()) {
+  learningRateStatusElem.textContent = Number(rate.toPrecision(3)).toString();
+  learningRateStatusElem.title = nn.schedule.name === 'constant' ? 'Constant' : `${scheduleLabels[nn.schedule.name]} of ${nn.learning_rate}`;
+}
+
+function handleLearningRateChange() {
+  const rate = parseFloat(learningRateInput.value);
+  if (isTrainingActive() || !(rate > 0)) {
+    learningRateInput.value = nn.learning_rate;
+    displayTrainingMessage(isTrainingActive()
+      ? 'Please pause training before changing the learning rate.'
+      : 'The learning rate must be a number greater than 0.', 'error');
+    return;
+  }
+  nn.setLearningRate(rate);
+  showLearningRateStatus();
+  displayTrainingMessage(`Learning rate set to ${nn.learning_rate}.`, 'info');
+}
+
+/**
+ * Replaces the network's schedule, using the parameter inputs when the schedule is unchanged. The new schedule
+ * starts at the current epoch, so step, decay and warmup schedules continue from where training is.
+ */
+function handleScheduleChange(name) {
+  if (isTrainingActive()) {
+    showLearningRateSettings();
+    displayTrainingMessage('Please pause training before changing the learning rate schedule.', 'error');
+    return;
+  }
+  const parameters = {};
+  if (name === nn.schedule.name) {
+    for (const input of scheduleOptionsContainer.querySelectorAll('input')) {
+      const value = parseFloat(input.value);
+      parameters[input.dataset.option] = value >= 0 ? value : nn.schedule.options[input.dataset.option];
+    }
+  }
+  nn.setSchedule({ name, ...parameters });
+  nn.schedule.epoch = trainingEpoch;
+  showLearningRateSettings();
+  displayTrainingMessage(`Learning rate schedule set to ${scheduleLabels[nn.schedule.name]}.`, 'info');
+}
+
+function showRegularization() {
+  l1Input.value = nn.l1;
+  l2Input.value = nn.l2;
+}
+
+function handleRegularizationChange() {
+  if (isTrainingActive()) {
+    showRegularization();
+    displayTrainingMessage('Please pause training before changing the weight penalties.', 'error');
+    return;
+  }
+  const l1 = parseFloat(l1Input.value);
+  const l2 = parseFloat(l2Input.value);
+  if (!(l1 >= 0) || !(l2 >= 0)) {
+    showRegularization();
+    displayTrainingMessage('Weight penalties must be numbers of at least 0.', 'error');
+    return;
+  }
+  nn.setRegularization(l1, l2);
+  resetTrainingHistory();
+  displayTrainingMessage(`Weight penalties set to L1 ${nn.l1}, L2 ${nn.l2}.`, 'info');
+}
+
+/**
+ * Applies a dataset's optional "stopping" section to the stopping-rule controls.
+ */
+function loadStoppingSettings(datasetName) {
+  stoppingSettings = { ...DEFAULT_STOPPING, ...datasets[datasetName].stopping };
+  showStoppingSettings();
+}
+
+/**
+ * Shows the stopping rules in their inputs; rules that are off leave their input empty.
+ */
+function showStoppingSettings() {
+  const show = (input, value) => input.value = value === null ? '' : value;
+  show(targetLossInput, stoppingSettings.targetLoss);
+  show(targetAccuracyInput, stoppingSettings.targetAccuracy === null ? null : Math.round(stoppingSettings.targetAccuracy * 10000) / 100);
+  accuracyModeSelect.value = stoppingSettings.accuracyMode;
+  show(toleranceInput, stoppingSettings.tolerance);
+  show(maxEpochsInput, stoppingSettings.maxEpochs);
+  show(timeLimitInput, stoppingSettings.timeLimit);
+  show(patienceInput, stoppingSettings.patience);
+  show(minDeltaInput, stoppingSettings.minDelta);
+  restoreBestToggle.checked = stoppingSettings.restoreBest;
+}
+
+/**
+ * Reads the stopping-rule inputs. An empty input turns its rule off; any other value must be a number of at least 0,
+ * and the target accuracy a percentage above 0.
+ */
+function handleStoppingChange() {
+  if (isTrainingActive()) {
+    showStoppingSettings();
+    displayTrainingMessage('Please pause training before changing the stopping rules.', 'error');
+    return;
+  }
+  const read = (input, fallback = null) => (input.value.trim() === '' ? fallback : parseFloat(input.value));
+  const settings = {
+    targetLoss: read(targetLossInput),
+    targetAccuracy: read(targetAccuracyInput),
+    accuracyMode: accuracyModeSelect.value,
+    tolerance: read(toleranceInput, DEFAULT_STOPPING.tolerance),
+    maxEpochs: read(maxEpochsInput),
+    timeLimit: read(timeLimitInput),
+    patience: read(patienceInput),
+    minDelta: read(minDeltaInput, 0),
+    restoreBest: restoreBestToggle.checked
+  };
+  const invalid = Object.values(settings).some(value => typeof value === 'number' && !(value >= 0));
+  if (invalid || (settings.targetAccuracy !== null && !(settings.targetAccuracy > 0 && settings.targetAccuracy <= 100))) {
+    showStoppingSettings();
+    displayTrainingMessage('Stopping rules must be empty or numbers of at least 0, and the target accuracy at most 100%.', 'error');
+    return;
+  }
+  if (settings.targetAccuracy !== null) settings.targetAccuracy /= 100;
+  if (settings.maxEpochs !== null) settings.maxEpochs = Math.round(settings.maxEpochs);
+  stoppingSettings = settings;
+  showStoppingSettings();
+  if (settings.patience !== null && datasetSplit.validation.length === 0) {
+    displayTrainingMessage('Early stopping watches the validation loss, so it needs a validation split.', 'info');
+  }
+}
+
+/**
+ * Switches between backpropagation and neuroevolution. The network is re-initialised from its seed,
+ * so runs of the two modes on the same seed start from the same weights and can be compared.
+ */
+function handleTrainingModeChange() {
+  if (isTrainingActive()) {
+    trainingModeSelect.value = trainingMode;
+    displayTrainingMessage('Please pause training before changing the training mode.', 'error');
+    return;
+  }
+  showTrainingMode(trainingModeSelect.value);
+  updateArchitecture(`Training mode set to ${trainingModeLabels[trainingMode]}; the network was re-initialised from its seed.`);
+}
+
+/**
+ * Shows the controls and charts of a training mode. In neuroevolution an epoch is a generation.
+ */
+function showTrainingMode(mode) {
+  trainingMode = mode;
+  trainingModeSelect.value = mode;
+  evolutionOptionsContainer.classList.toggle('hidden', mode !== 'evolution');
+  fitnessPanel.classList.toggle('hidden', mode !== 'evolution');
+  lossChart.setEpochLabel(mode === 'evolution' ? 'Generation' : 'Epoch');
+}
+
+/**
+ * Applies a dataset's optional "evolution" section to the neuroevolution controls.
+ */
+function loadEvolutionSettings(datasetName) {
+  evolutionSettings = { ...DEFAULT_EVOLUTION, ...datasets[datasetName].evolution };
+  showEvolutionSettings();
+}
+
+function showEvolutionSettings() {
+  populationSizeInput.value = evolutionSettings.populationSize;
+  eliteCountInput.value = evolutionSettings.eliteCount;
+  tournamentSizeInput.value = evolutionSettings.tournamentSize;
+  crossoverRateInput.value = evolutionSettings.crossoverRate;
+  mutationRateInput.value = evolutionSettings.mutationRate;
+}
+
+/**
+ * Reads the neuroevolution inputs. A paused population keeps evolving with the new settings, growing with new
+ * individuals or losing its least fit when the population size changes.
+ */
+function handleEvolutionChange() {
+  if (isTrainingActive()) {
+    showEvolutionSettings();
+    displayTrainingMessage('Please pause training before changing the neuroevolution settings.', 'error');
+    return;
+  }
+  const settings = {
+    populationSize: parseInt(populationSizeInput.value),
+    eliteCount: parseInt(eliteCountInput.value),
+    tournamentSize: parseInt(tournamentSizeInput.value),
+    crossoverRate: parseFloat(crossoverRateInput.value),
+    mutationRate: parseFloat(mutationRateInput.value)
+  };
+  if (Population.checkOptions(settings) !== null) {
+    showEvolutionSettings();
+    displayTrainingMessage('The population needs at least 2 networks and fewer elites than networks, a tournament of at least 1, and rates between 0 and 1.', 'error');
+    return;
+  }
+  evolutionSettings = settings;
+  showEvolutionSettings();
+}
+
+/**
+ * Describes a stopping rule's report from the worker, such as "Stopped at epoch 4200 by the epoch limit".
+ */
+function describeStop(stop) {
+  const unit = trainingMode === 'evolution' ? 'generation' : 'epoch';
+  const restored = stop.restoredEpoch !== null ? ` Restored the weights from ${unit} ${stop.restoredEpoch}.` : '';
+  return `Stopped at ${unit} ${stop.epoch} by the ${stoppingRuleLabels[stop.rule]}: ${stop.message}.${restored}`;
+}
+
+/**
+ * Returns to the idle state once the worker has handed the network back. When a stopping rule ended the run,
+ * `stop` is its report, which is shown instead of the message and kept under the stopping rules.
+ */
+function stopTraining(message, type = 'success', stop = null) {
+  trainingState = 'idle';
   buttonText.textContent = 'Start Training';
   playIcon.classList.remove('hidden');
   pauseIcon.classList.add('hidden');
   trainBtn.classList.remove('danger-button');
   trainBtn.classList.add('control-button');
+  trainBtn.disabled = false;
   trainingStatusElem.textContent = 'Ready';
   trainingStatusElem.className = 'text-sm font-semibold text-green-400';
-  datasetSelect.disabled = false;
-  updateArchBtn.disabled = false;
-  addLayerBtn.disabled = false;
-  document.querySelectorAll('.remove-layer-btn').forEach(btn => btn.disabled = false);
-  testDataSelect.disabled = false;
-  displayTrainingMessage(message, 'success');
+  setTrainingControlsDisabled(false);
+  if (stop) {
+    message = describeStop(stop);
+    type = stop.rule === 'targetLoss' || stop.rule === 'targetAccuracy' ? 'success' : 'info';
+    stoppingStatusElem.textContent = message;
+  }
+  displayTrainingMessage(message, type);
+}
+
+/**
+ * Disables every control that changes the network or its data while the worker owns the network.
+ */
+function setTrainingControlsDisabled(disabled) {
+  datasetSelect.disabled = disabled;
+  updateArchBtn.disabled = disabled;
+  addLayerBtn.disabled = disabled;
+  seedInput.disabled = disabled;
+  newSeedBtn.disabled = disabled;
+  biasInitSelect.disabled = disabled;
+  lossSelect.disabled = disabled;
+  optimizerSelect.disabled = disabled;
+  l1Input.disabled = disabled;
+  l2Input.disabled = disabled;
+  learningRateInput.disabled = disabled;
+  scheduleSelect.disabled = disabled;
+  scheduleOptionsContainer.querySelectorAll('input').forEach(input => input.disabled = disabled);
+  [targetLossInput, targetAccuracyInput, accuracyModeSelect, toleranceInput, maxEpochsInput, timeLimitInput,
+    patienceInput, minDeltaInput, restoreBestToggle].forEach(control => control.disabled = disabled);
+  trainingModeSelect.disabled = disabled;
+  evolutionOptionsContainer.querySelectorAll('input').forEach(input => input.disabled = disabled);
+  document.querySelectorAll('.remove-layer-btn').forEach(btn => btn.disabled = disabled);
+  testDataSelect.disabled = disabled;
+  validationSplitSlider.disabled = disabled;
+  testSplitSlider.disabled = disabled;
+  splitSeedInput.disabled = disabled;
+  datasetEditor.setDisabled(disabled);
+  evaluationPanel.setDisabled(disabled);
+  datasetImporter.setDisabled(disabled);
+  datasetGeneratorPanel.setDisabled(disabled);
+  loadModelBtn.disabled = disabled;
+  importTfjsBtn.disabled = disabled;
+  stepBtn.disabled = disabled;
+  backpropStepBtn.disabled = disabled;
+  timelinePlayBtn.disabled = disabled;
+  timelineSlider.disabled = disabled;
+  snapshotIntervalInput.disabled = disabled;
 }
 
 function displayTrainingMessage(message, type = 'info') {
@@ -160,92 +944,635 @@ function displayTrainingMessage(message, type = 'info') {
 
 function setupNetwork(datasetName) {
   const config = datasets[datasetName].network;
+  if (config.options.seed !== undefined) {
+    seedInput.value = config.options.seed;
+  }
   nn = new NeuralNetwork(config.inputNodes, config.hiddenLayers, config.outputNodes, {
     ...config.options,
-    learning_rate: config.options.learning_rate || 0.01
+    learning_rate: config.options.learning_rate || 0.01,
+    seed: getSeed()
   });
 
   // NNvisual now uses the fixed WIDTH and HEIGHT
   nnv = new NNvisual(WIDTH / 2, HEIGHT / 2, WIDTH, HEIGHT, nn, { drawmode: 'center', weightThreshold: WEIGHT_THRESHOLD });
+  lossSelect.value = nn.loss.name;
+  optimizerSelect.value = nn.optimizer.name;
+  showLearningRateSettings();
+  showRegularization();
+  fillInitializerSelect(biasInitSelect, nn.bias_initializer, biasInitializers);
+  updateBoundaryPanel();
+  resetTrainingHistory();
+}
+
+/**
+ * Shows the decision boundary panel for 2-input networks, with one output choice per output node.
+ */
+function updateBoundaryPanel() {
+  boundaryPanel.classList.toggle('hidden', nn.input_nodes !== 2);
+  const selected = parseInt(boundaryOutputSelect.value) || 0;
+  boundaryOutputSelect.innerHTML = '';
+  for (let k = 0; k < nn.output_nodes; k++) {
+    const option = document.createElement('option');
+    option.value = k;
+    option.textContent = `Output ${k + 1}`;
+    boundaryOutputSelect.appendChild(option);
+  }
+  const outputIndex = selected < nn.output_nodes ? selected : 0;
+  boundaryOutputSelect.value = outputIndex;
+  decisionBoundary.setOutputIndex(outputIndex);
+}
+
+function handleBoundaryRangeChange() {
+  const min = parseFloat(boundaryMinInput.value);
+  const max = parseFloat(boundaryMaxInput.value);
+  if (!(max > min)) {
+    boundaryMinInput.value = decisionBoundary.min;
+    boundaryMaxInput.value = decisionBoundary.max;
+    displayTrainingMessage('The range maximum must be greater than the minimum.', 'error');
+    return;
+  }
+  decisionBoundary.setRange(min, max);
 }
 
 function handleDatasetChange(event) {
-  if (!isTraining) {
-    currentDatasetName = event.target.value;
-    while (hiddenLayersContainer.firstChild) {
-      hiddenLayersContainer.removeChild(hiddenLayersContainer.firstChild);
-    }
-    while (activationFunctionsContainer.firstChild) {
-      activationFunctionsContainer.removeChild(activationFunctionsContainer.firstChild);
-    }
-    const defaultLayers = datasets[currentDatasetName].network.hiddenLayers;
-    const defaultActivations = datasets[currentDatasetName].network.options.activationFunctions;
-    defaultLayers.forEach((numNodes, index) => addHiddenLayerControls(numNodes, defaultActivations[index]));
-    addOutputLayerControls(defaultActivations[defaultActivations.length - 1]);
-    setupNetwork(currentDatasetName);
-    currentInputIndex = 0;
-    populateTestDataSelect();
-    updateNodeInfoPanel({ type: 'none' });
+  if (!isTrainingActive()) {
+    selectDataset(event.target.value);
   } else {
     datasetSelect.value = currentDatasetName;
     displayTrainingMessage('Please pause training before changing the dataset.', 'error');
   }
 }
 
+/**
+ * Switches to a dataset, rebuilding the architecture controls and the network from its configuration.
+ */
+function selectDataset(name) {
+  currentDatasetName = name;
+  datasetSelect.value = name;
+  const config = datasets[currentDatasetName].network;
+  buildArchitectureControls(config.hiddenLayers, config.options.activationFunctions, config.options.weightInitializers, config.options.dropout);
+  setupNetwork(currentDatasetName);
+  currentInputIndex = 0;
+  loadSplitSettings(currentDatasetName);
+  loadStoppingSettings(currentDatasetName);
+  loadEvolutionSettings(currentDatasetName);
+  populateTestDataSelect();
+  updateBatchSizeSlider();
+  updateNodeInfoPanel({ type: 'none' });
+  datasetEditor.load(name);
+}
+
+function handleDatasetImported(name, dataset) {
+  datasets[name] = dataset;
+  datasetEditor.persist(name);
+  populateDatasetSelect();
+  selectDataset(name);
+  const { inputNodes, outputNodes } = dataset.network;
+  displayTrainingMessage(`Imported "${name}": ${dataset.data.length} rows, ${inputNodes} inputs, ${outputNodes} outputs.`, 'success');
+}
+
+/**
+ * Adds a generated dataset to the selector and selects it. The name lists every parameter, so generating the
+ * same name again gives the same rows and simply replaces it.
+ */
+function handleDatasetGenerated(name, dataset) {
+  datasets[name] = dataset;
+  datasetEditor.persist(name);
+  populateDatasetSelect();
+  selectDataset(name);
+  const { inputNodes, outputNodes } = dataset.network;
+  displayTrainingMessage(`Generated "${name}": ${dataset.data.length} rows, ${inputNodes} inputs, ${outputNodes} outputs.`, 'success');
+}
+
+/**
+ * Called by the dataset editor after a dataset's saved copy is deleted. A dataset from trainingData.json goes
+ * back to its original rows and network; any other is removed and the first remaining dataset is selected.
+ */
+function handleDatasetDeleted(name) {
+  if (builtInDatasets[name]) {
+    datasets[name] = JSON.parse(JSON.stringify(builtInDatasets[name]));
+    populateDatasetSelect();
+    selectDataset(name);
+    displayTrainingMessage(`Deleted the saved copy of "${name}"; it is back to its trainingData.json version.`, 'success');
+    return;
+  }
+  delete datasets[name];
+  populateDatasetSelect();
+  selectDataset(name === currentDatasetName ? Object.keys(datasets)[0] : currentDatasetName);
+  displayTrainingMessage(`Deleted "${name}".`, 'success');
+}
+
+/**
+ * Called by the dataset editor after a dataset is created or saved.
+ * Row edits keep the current network; new datasets or changed node counts rebuild it.
+ */
+function handleDatasetEdited(name) {
+  populateDatasetSelect();
+  const network = datasets[name].network;
+  if (name !== currentDatasetName || network.inputNodes !== nn.input_nodes || network.outputNodes !== nn.output_nodes) {
+    selectDataset(name);
+    return;
+  }
+  datasetSelect.value = name;
+  currentInputIndex = 0;
+  loadSplitSettings(name);
+  populateTestDataSelect();
+  updateBatchSizeSlider();
+  resetTrainingHistory();
+  decisionBoundary.invalidate();
+  datasetEditor.load(name);
+}
+
+/**
+ * Replaces the hidden-layer, activation and weight initialiser controls with ones matching the given architecture.
+ * weightInitializers and dropoutRates are a single value for every layer or an array with one per layer, as in the network options.
+ */
+function buildArchitectureControls(hiddenLayers, activationNames, weightInitializers = 'default', dropoutRates = 0) {
+  while (hiddenLayersContainer.firstChild) {
+    hiddenLayersContainer.removeChild(hiddenLayersContainer.firstChild);
+  }
+  while (activationFunctionsContainer.firstChild) {
+    activationFunctionsContainer.removeChild(activationFunctionsContainer.firstChild);
+  }
+  const initializerFor = index => (Array.isArray(weightInitializers) ? weightInitializers[index] : weightInitializers);
+  const dropoutFor = index => (Array.isArray(dropoutRates) ? dropoutRates[index] : dropoutRates) || 0;
+  hiddenLayers.forEach((numNodes, index) => addHiddenLayerControls(numNodes, activationNames[index], initializerFor(index), dropoutFor(index)));
+  addOutputLayerControls(activationNames[activationNames.length - 1], initializerFor(hiddenLayers.length));
+}
+
+function downloadModel() {
+  const model = {
+    format: MODEL_FORMAT,
+    version: MODEL_FORMAT_VERSION,
+    dataset: currentDatasetName,
+    epoch: trainingEpoch,
+    settings: {
+      epochsPerFrame,
+      batchSize,
+      split: {
+        validation: parseInt(validationSplitSlider.value) / 100,
+        test: parseInt(testSplitSlider.value) / 100,
+        seed: parseInt(splitSeedInput.value) || 0
+      },
+      stopping: stoppingSettings,
+      mode: trainingMode,
+      evolution: trainingMode === 'evolution' ? evolutionSettings : null
+    },
+    network: JSON.parse(nn.serialize())
+  };
+  downloadFile(`${currentDatasetName.replace(/\s+/g, '_')}_model.json`, JSON.stringify(model, null, 2), 'application/json');
+}
+
+function readModelFile(file) {
+  const reader = new FileReader();
+  reader.onload = () => {
+    try {
+      loadModel(JSON.parse(reader.result));
+    } catch (e) {
+      displayTrainingMessage(`Could not load model: ${e.message}`, 'error');
+    }
+  };
+  reader.readAsText(file);
+}
+
+/**
+ * Restores a model saved by downloadModel() onto the selected dataset.
+ * Refuses models whose input/output counts differ from the dataset's.
+ */
+function loadModel(model) {
+  if (isTrainingActive()) {
+    displayTrainingMessage('Please pause training before loading a model.', 'error');
+    return;
+  }
+  if (!model || model.format !== MODEL_FORMAT || !model.network) {
+    throw new Error('this file is not a saved model.');
+  }
+  const settings = model.settings || {};
+  const stoppingProblem = settings.stopping ? StoppingCriteria.checkOptions(settings.stopping) : null;
+  if (stoppingProblem) {
+    throw new Error(`its stopping rules are invalid: ${stoppingProblem}`);
+  }
+  const evolutionProblem = settings.evolution ? Population.checkOptions(settings.evolution) : null;
+  if (evolutionProblem) {
+    throw new Error(`its neuroevolution settings are invalid: ${evolutionProblem}`);
+  }
+
+  if (!checkModelShape(model.network.input_nodes, model.network.output_nodes, `Model "${model.dataset}"`)) {
+    return;
+  }
+  installNetwork(NeuralNetwork.deserialize(model.network));
+
+  if (settings.epochsPerFrame) {
+    epochsPerFrame = settings.epochsPerFrame;
+    epochsSlider.value = epochsPerFrame;
+    epochsVal.textContent = epochsPerFrame;
+  }
+  if (settings.split) {
+    validationSplitSlider.value = Math.round((settings.split.validation || 0) * 100);
+    testSplitSlider.value = Math.round((settings.split.test || 0) * 100);
+    splitSeedInput.value = settings.split.seed !== undefined ? settings.split.seed : 42;
+    applySplit();
+    populateTestDataSelect();
+  }
+  if (settings.batchSize) {
+    batchSize = settings.batchSize;
+  }
+  updateBatchSizeSlider();
+  if (settings.stopping) {
+    stoppingSettings = { ...DEFAULT_STOPPING, ...settings.stopping };
+    showStoppingSettings();
+  }
+  if (settings.evolution) {
+    evolutionSettings = { ...DEFAULT_EVOLUTION, ...settings.evolution };
+    showEvolutionSettings();
+  }
+  showTrainingMode(settings.mode || 'backprop');
+
+  // Clearing the history restarts the schedule, but a loaded model continues the one it was saved with
+  const schedule = nn.schedule.copy();
+  resetTrainingHistory();
+  nn.schedule = schedule;
+  trainingEpoch = model.epoch || 0;
+  showLearningRateStatus();
+  updateNodeInfoPanel({ type: 'none' });
+  displayTrainingMessage(`Loaded model trained for ${trainingEpoch} epochs on "${model.dataset}".`, 'success');
+}
+
+/**
+ * Reports an error and returns false when a network's input/output counts differ from the selected dataset's.
+ */
+function checkModelShape(inputNodes, outputNodes, description) {
+  const config = datasets[currentDatasetName].network;
+  if (inputNodes === config.inputNodes && outputNodes === config.outputNodes) {
+    return true;
+  }
+  displayTrainingMessage(
+    `${description} has ${inputNodes} inputs and ${outputNodes} outputs, but "${currentDatasetName}" ` +
+    `needs ${config.inputNodes} inputs and ${config.outputNodes} outputs. Select a matching dataset first.`,
+    'error'
+  );
+  return false;
+}
+
+/**
+ * Replaces the current network and syncs the visualisation and architecture controls with it.
+ */
+function installNetwork(network) {
+  nn = network;
+  seedInput.value = nn.random.seed;
+  nnv = new NNvisual(WIDTH / 2, HEIGHT / 2, WIDTH, HEIGHT, nn, { drawmode: 'center', weightThreshold: WEIGHT_THRESHOLD });
+  buildArchitectureControls(nn.hidden_layers, nn.activation_functions.map(f => f.name), nn.weight_initializers, nn.dropout_rates);
+  lossSelect.value = nn.loss.name;
+  optimizerSelect.value = nn.optimizer.name;
+  showLearningRateSettings();
+  showRegularization();
+  fillInitializerSelect(biasInitSelect, nn.bias_initializer, biasInitializers);
+  updateBoundaryPanel();
+}
+
+/**
+ * Downloads the network as a TensorFlow.js layers model (model.json plus a binary weights file),
+ * after checking that a re-import reproduces predict() on the dataset's inputs.
+ */
+function exportTfjsModel() {
+  const baseName = currentDatasetName.replace(/\s+/g, '_');
+  let exported;
+  try {
+    exported = TfjsConverter.toTfjs(nn, `${baseName}.weights.bin`);
+  } catch (e) {
+    displayTrainingMessage(`Could not export: ${e.message}`, 'error');
+    return;
+  }
+
+  const inputs = datasets[currentDatasetName].data.map(row => row.inputs);
+  const check = TfjsConverter.verifyRoundTrip(nn, inputs, TFJS_TOLERANCE);
+  if (!check.passed) {
+    displayTrainingMessage(`Export check failed: predictions differ by up to ${check.maxError.toExponential(2)}.`, 'error');
+    return;
+  }
+
+  downloadFile(`${baseName}.json`, JSON.stringify(exported.modelJSON, null, 2), 'application/json');
+  downloadFile(`${baseName}.weights.bin`, exported.weightData, 'application/octet-stream');
+  displayTrainingMessage(`Exported TensorFlow.js model (max round-trip error ${check.maxError.toExponential(2)}).`, 'success');
+}
+
+/**
+ * Reads a TensorFlow.js model.json and its weight files, concatenating the weights in manifest order.
+ */
+function readTfjsFiles(files) {
+  const modelFile = files.find(file => /\.json$/i.test(file.name));
+  if (!modelFile) {
+    displayTrainingMessage('Select the model.json file together with its .bin weight files.', 'error');
+    return;
+  }
+  const readAs = (file, method) => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(new Error(`could not read ${file.name}`));
+    reader[method](file);
+  });
+
+  readAs(modelFile, 'readAsText')
+    .then(text => {
+      const modelJSON = JSON.parse(text);
+      const paths = (modelJSON.weightsManifest || []).flatMap(group => group.paths);
+      const weightFiles = paths.map(path => {
+        const file = files.find(f => f.name === path.split('/').pop());
+        if (!file) throw new Error(`missing weight file "${path}".`);
+        return file;
+      });
+      return Promise.all(weightFiles.map(file => readAs(file, 'readAsArrayBuffer'))).then(buffers => {
+        const weightData = new Uint8Array(buffers.reduce((sum, b) => sum + b.byteLength, 0));
+        let offset = 0;
+        buffers.forEach(buffer => {
+          weightData.set(new Uint8Array(buffer), offset);
+          offset += buffer.byteLength;
+        });
+        importTfjsModel(modelJSON, weightData.buffer, modelFile.name);
+      });
+    })
+    .catch(e => displayTrainingMessage(`Could not import: ${e.message}`, 'error'));
+}
+
+function importTfjsModel(modelJSON, weightData, fileName) {
+  if (isTrainingActive()) {
+    displayTrainingMessage('Please pause training before importing a model.', 'error');
+    return;
+  }
+  const network = TfjsConverter.fromTfjs(modelJSON, weightData);
+  if (!checkModelShape(network.input_nodes, network.output_nodes, `"${fileName}"`)) {
+    return;
+  }
+  installNetwork(network);
+  resetTrainingHistory();
+  updateNodeInfoPanel({ type: 'none' });
+  displayTrainingMessage(`Imported TensorFlow.js model from "${fileName}" with the ${lossFunctionLabels[network.loss.name]} loss.`, 'success');
+}
+
 function populateTestDataSelect() {
   testDataSelect.innerHTML = '';
   const currentData = datasets[currentDatasetName].data;
-  currentData.forEach((data, index) => {
-    const option = document.createElement('option');
-    option.value = index;
-    option.textContent = `Test Case ${index + 1}: [${data.inputs.join(', ')}]`;
-    testDataSelect.appendChild(option);
-  });
+  const groupLabels = { train: 'Training', validation: 'Validation (held out)', test: 'Test (held out)' };
+  const hasHeldOut = datasetSplit.validation.length > 0 || datasetSplit.test.length > 0;
+
+  for (const part of ['train', 'validation', 'test']) {
+    if (datasetSplit[part].length === 0) continue;
+    const parent = hasHeldOut ? document.createElement('optgroup') : testDataSelect;
+    if (hasHeldOut) {
+      parent.label = groupLabels[part];
+      testDataSelect.appendChild(parent);
+    }
+    datasetSplit[part].forEach(index => {
+      const option = document.createElement('option');
+      option.value = index;
+      option.textContent = `Test Case ${index + 1}: [${currentData[index].inputs.join(', ')}]${part === 'train' ? '' : ` (${part})`}`;
+      parent.appendChild(option);
+    });
+  }
+  testDataSelect.value = currentInputIndex;
+}
+
+function isTrainingActive() {
+  return trainingState !== 'idle';
 }
 
 function toggleTraining() {
-  isTraining = !isTraining;
-  if (isTraining) {
-    buttonText.textContent = 'Pause Training';
-    playIcon.classList.add('hidden');
-    pauseIcon.classList.remove('hidden');
-    trainBtn.classList.remove('control-button');
-    trainBtn.classList.add('danger-button');
-    trainingStatusElem.textContent = 'Training';
-    trainingStatusElem.className = 'text-sm font-semibold text-orange-400';
-    datasetSelect.disabled = true;
-    updateArchBtn.disabled = true;
-    addLayerBtn.disabled = true;
-    document.querySelectorAll('.remove-layer-btn').forEach(btn => btn.disabled = true);
-    testDataSelect.disabled = true;
-  } else {
-    stopTraining('Training paused.');
+  if (trainingState === 'idle') {
+    startTraining();
+  } else if (trainingState === 'running') {
+    trainingState = 'waiting';
+    trainBtn.disabled = true;
+    trainingStatusElem.textContent = 'Pausing';
+    trainingWorker.postMessage({ type: 'pause' });
+  }
+}
+
+function startTraining() {
+  beginWorkerSession();
+  trainingState = 'running';
+  buttonText.textContent = 'Pause Training';
+  playIcon.classList.add('hidden');
+  pauseIcon.classList.remove('hidden');
+  trainBtn.classList.remove('control-button');
+  trainBtn.classList.add('danger-button');
+  trainingStatusElem.textContent = 'Training';
+  trainingStatusElem.className = 'text-sm font-semibold text-orange-400';
+  trainingWorker.postMessage({ type: 'start' });
+}
+
+/**
+ * Trains a single frame's worth of epochs in the worker.
+ */
+function stepTraining() {
+  if (trainingState !== 'idle') return;
+  beginWorkerSession();
+  trainingState = 'waiting';
+  trainBtn.disabled = true;
+  trainingWorker.postMessage({ type: 'step' });
+}
+
+/**
+ * Hands the current network, split and settings to the worker and locks the controls until it hands them back.
+ */
+function beginWorkerSession() {
+  isReplaying = false;
+  showTimelinePosition(null);
+  setTrainingControlsDisabled(true);
+  trainingWorker.postMessage({
+    type: 'reset',
+    network: nn.serialize(),
+    rows: { train: getSplitRows('train'), validation: getSplitRows('validation'), test: getSplitRows('test') },
+    epoch: trainingEpoch,
+    batchSize,
+    epochsPerFrame,
+    stopping: stoppingSettings,
+    stoppingState,
+    evolution: trainingMode === 'evolution' ? evolutionSettings : null,
+    population: populationState
+  });
+}
+
+function handleWorkerMessage(event) {
+  const message = event.data;
+  if (message.type === 'progress') {
+    nn.weights = message.weights.map(w => Matrix.fromValues(w.rows, w.cols, w.values));
+    nn.biases = message.biases.map(b => Matrix.fromValues(b.rows, b.cols, b.values));
+    nn.dropped_nodes = message.droppedNodes;
+    recordWorkerHistory(message);
+    const latest = message.history[message.history.length - 1];
+    if (latest && latest.learningRate !== null) {
+      showLearningRateStatus(latest.learningRate);
+    }
+  } else if (message.type === 'paused') {
+    const trained = NeuralNetwork.deserialize(message.network);
+    nn.weights = trained.weights;
+    nn.biases = trained.biases;
+    nn.optimizer = trained.optimizer;
+    nn.random = trained.random;
+    nn.schedule = trained.schedule;
+    nn.dropped_nodes = message.droppedNodes;
+    stoppingState = message.stoppingState;
+    populationState = message.population;
+    recordWorkerHistory(message);
+    showLearningRateStatus();
+    const messages = {
+      paused: 'Training paused.',
+      step: `Trained to ${trainingMode === 'evolution' ? 'generation' : 'epoch'} ${trainingEpoch}.`
+    };
+    stopTraining(messages[message.reason], 'success', message.stop);
+  } else if (message.type === 'error') {
+    stopTraining(`Training stopped: ${message.message}`, 'error');
+  }
+}
+
+function recordWorkerHistory(message) {
+  message.history.forEach(entry => {
+    lossChart.record(entry);
+    if (entry.bestFitness !== undefined) fitnessChart.record(entry);
+  });
+  trainingEpoch = message.epoch;
+  if (timeline.record(nn, trainingEpoch)) {
+    updateTimelineControls();
   }
 }
 
 function createActivationFunctionSelect(layerType, defaultValue) {
   const select = document.createElement('select');
-  select.className = "custom-select w-full px-2 py-1 bg-neural-700/50 border border-neural-600/50 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent text-neural-100 text-xs md:text-sm";
+  select.className = "activation-select custom-select w-full px-2 py-1 bg-neural-700/50 border border-neural-600/50 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent text-neural-100 text-xs md:text-sm";
+
+  fillActivationSelect(select, defaultValue);
+  return select;
+}
 
-  activationFunctionNames.forEach(name => {
+function fillActivationSelect(select, value) {
+  select.innerHTML = '';
+  trainableActivationNames().forEach(name => {
     const option = document.createElement('option');
     option.value = name;
     option.textContent = name.charAt(0).toUpperCase() + name.slice(1);
-    if (name === defaultValue) {
+    if (name === value) {
       option.selected = true;
     }
     select.appendChild(option);
   });
+}
+
+/**
+ * The activations the worker can train with: every registered one except those whose source did not rebuild.
+ */
+function trainableActivationNames() {
+  return Object.keys(activations).filter(name => !untrainableActivations.has(name));
+}
+
+/**
+ * Registers an activation added with NeuralNetwork.registerActivation() in the training worker and offers it in
+ * every activation select. The worker rebuilds the functions from their source text, so an activation whose
+ * source does not rebuild to the same function, such as a closure, is refused and reported instead.
+ */
+function handleActivationRegistered(name, fn, derivative) {
+  const problem = checkRebuiltFunction(fn) || checkRebuiltFunction(derivative);
+  if (problem) {
+    untrainableActivations.add(name);
+  } else {
+    untrainableActivations.delete(name);
+    trainingWorker.postMessage({ type: 'registerActivation', name, fn: fn.toString(), derivative: derivative.toString() });
+  }
+  activationFunctionsContainer.querySelectorAll('.activation-select').forEach(select => fillActivationSelect(select, select.value));
+  datasetEditor.setActivationFunctionNames(trainableActivationNames());
+  if (problem) {
+    displayTrainingMessage(`The "${name}" activation cannot be used for training: ${problem}. ` +
+      'The training worker rebuilds custom activations from their source text, so they must be function or arrow ' +
+      'expressions that use no variables from an enclosing scope.', 'error');
+  } else {
+    displayTrainingMessage(`Registered the "${name}" activation function.`, 'info');
+  }
+}
+
+/**
+ * Rebuilds a function from its source text as the training worker does, and compares it with the original
+ * on ACTIVATION_CHECK_POINTS.
+ * @returns {string|null} What went wrong, or null if the rebuilt function agrees.
+ */
+function checkRebuiltFunction(fn) {
+  let rebuilt;
+  try {
+    rebuilt = new Function(`return (${fn.toString()});`)();
+  } catch (e) {
+    return `its source does not evaluate (${e.message})`;
+  }
+  if (typeof rebuilt !== 'function') {
+    return 'its source is not a function';
+  }
+  for (const x of ACTIVATION_CHECK_POINTS) {
+    let expected, value;
+    try {
+      expected = fn(x);
+      value = rebuilt(x);
+    } catch (e) {
+      return `it fails at ${x} (${e.message})`;
+    }
+    if (!Object.is(value, expected)) {
+      return `rebuilt from its source, it gives ${value} instead of ${expected} at ${x}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Fills a select with the given initialisers (all of them by default) and selects the given setting. Settings with
+ * options, such as { name: 'constant', value: 0.5 }, are kept on the select so readInitializerSelect() can return them unchanged.
+ */
+function fillInitializerSelect(select, setting = 'default', names = Object.keys(initializerLabels)) {
+  select.innerHTML = '';
+  for (const name of names) {
+    const option = document.createElement('option');
+    option.value = name;
+    option.textContent = initializerLabels[name];
+    select.appendChild(option);
+  }
+  const { name } = parseInitializer(setting);
+  select.value = names.includes(name) ? name : 'default';
+  select.initializerSetting = setting;
   return select;
 }
 
-function addHiddenLayerControls(defaultNodes = 8, defaultActivation = 'tanh') {
+function readInitializerSelect(select) {
+  const setting = select.initializerSetting;
+  return setting !== undefined && parseInitializer(setting).name === select.value ? setting : select.value;
+}
+
+function createInitializerSelect(setting) {
+  const select = document.createElement('select');
+  select.className = "initializer-select custom-select w-full px-2 py-1 bg-neural-700/50 border border-neural-600/50 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent text-neural-100 text-xs md:text-sm";
+  select.title = 'Weight initialiser';
+  return fillInitializerSelect(select, setting);
+}
+
+/**
+ * The activation and weight initialiser selects of one layer, side by side.
+ */
+function createLayerSelectGroup(layerType, labelText, defaultActivation, initializerSetting) {
+  const selectGroup = document.createElement('div');
+  selectGroup.className = 'space-y-1';
+  const selectLabel = document.createElement('label');
+  selectLabel.className = "text-neural-400 text-xs font-medium";
+  selectLabel.textContent = labelText;
+  const selects = document.createElement('div');
+  selects.className = 'grid grid-cols-2 gap-2';
+  selects.appendChild(createActivationFunctionSelect(layerType, defaultActivation));
+  selects.appendChild(createInitializerSelect(initializerSetting));
+  selectGroup.appendChild(selectLabel);
+  selectGroup.appendChild(selects);
+  return selectGroup;
+}
+
+function addHiddenLayerControls(defaultNodes = 8, defaultActivation = 'tanh', defaultInitializer = 'default', defaultDropout = 0) {
   const layerCount = hiddenLayersContainer.children.length + 1;
   const div = document.createElement('div');
   div.classList.add('layer-input-group');
 
   const label = document.createElement('label');
-  label.className = 'text-neural-400 text-xs md:text-sm font-medium';
+  label.className = 'layer-label text-neural-400 text-xs md:text-sm font-medium';
   label.textContent = `Layer ${layerCount}:`;
 
   const input = document.createElement('input');
@@ -253,7 +1580,20 @@ function addHiddenLayerControls(defaultNodes = 8, defaultActivation = 'tanh') {
   input.value = defaultNodes;
   input.min = '1';
   input.max = '20';
-  input.className = 'px-2 py-1 bg-neural-700/50 border border-neural-600/50 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent text-neural-100 text-xs md:text-sm';
+  input.className = 'layer-nodes-input px-2 py-1 bg-neural-700/50 border border-neural-600/50 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent text-neural-100 text-xs md:text-sm';
+
+  const dropoutLabel = document.createElement('label');
+  dropoutLabel.className = 'text-neural-400 text-xs md:text-sm font-medium';
+  dropoutLabel.textContent = 'Dropout:';
+
+  const dropoutInput = document.createElement('input');
+  dropoutInput.type = 'number';
+  dropoutInput.value = defaultDropout;
+  dropoutInput.min = '0';
+  dropoutInput.max = String(MAX_DROPOUT);
+  dropoutInput.step = '0.05';
+  dropoutInput.title = 'The probability that training drops each node of this layer for a sample';
+  dropoutInput.className = 'layer-dropout-input px-2 py-1 bg-neural-700/50 border border-neural-600/50 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent text-neural-100 text-xs md:text-sm';
 
   const removeBtn = document.createElement('button');
   removeBtn.className = 'remove-layer-btn';
@@ -262,23 +1602,18 @@ function addHiddenLayerControls(defaultNodes = 8, defaultActivation = 'tanh') {
 
   div.appendChild(label);
   div.appendChild(input);
+  div.appendChild(dropoutLabel);
+  div.appendChild(dropoutInput);
   div.appendChild(removeBtn);
   hiddenLayersContainer.appendChild(div);
 
-  const selectGroup = document.createElement('div');
-  selectGroup.className = 'space-y-1';
-  const selectLabel = document.createElement('label');
-  selectLabel.className = "text-neural-400 text-xs font-medium";
-  selectLabel.textContent = `Layer ${layerCount} Activation:`;
-  const select = createActivationFunctionSelect('hidden', defaultActivation);
-  selectGroup.appendChild(selectLabel);
-  selectGroup.appendChild(select);
+  const selectGroup = createLayerSelectGroup('hidden', `Layer ${layerCount} Activation / Init:`, defaultActivation, defaultInitializer);
 
   const outputLayerControl = document.getElementById('output-layer-activation');
   activationFunctionsContainer.insertBefore(selectGroup, outputLayerControl);
 
   removeBtn.addEventListener('click', () => {
-    if (!isTraining) {
+    if (!isTrainingActive()) {
       div.remove();
       selectGroup.remove();
       updateLayerLabels();
@@ -288,40 +1623,49 @@ function addHiddenLayerControls(defaultNodes = 8, defaultActivation = 'tanh') {
   });
 }
 
-function addOutputLayerControls(defaultActivation = 'sigmoid') {
-  const selectGroup = document.createElement('div');
+function addOutputLayerControls(defaultActivation = 'sigmoid', defaultInitializer = 'default') {
+  const selectGroup = createLayerSelectGroup('output', 'Output Layer Activation / Init:', defaultActivation, defaultInitializer);
   selectGroup.id = 'output-layer-activation';
-  selectGroup.classList.add('space-y-1');
-  const selectLabel = document.createElement('label');
-  selectLabel.className = "text-neural-400 text-xs font-medium";
-  selectLabel.textContent = `Output Layer Activation:`;
-  const select = createActivationFunctionSelect('output', defaultActivation);
-  selectGroup.appendChild(selectLabel);
-  selectGroup.appendChild(select);
   activationFunctionsContainer.appendChild(selectGroup);
 }
 
 function updateLayerLabels() {
-  const nodeLabels = hiddenLayersContainer.querySelectorAll('label');
+  const nodeLabels = hiddenLayersContainer.querySelectorAll('.layer-label');
   nodeLabels.forEach((label, index) => {
     label.textContent = `Layer ${index + 1}:`;
   });
   const activationLabels = activationFunctionsContainer.querySelectorAll('label');
   for (let i = 0; i < activationLabels.length; i++) {
     if (activationLabels[i].textContent.startsWith('Layer')) {
-      activationLabels[i].textContent = `Layer ${i + 1} Activation:`;
+      activationLabels[i].textContent = `Layer ${i + 1} Activation / Init:`;
     }
   }
 }
 
-function updateArchitecture() {
-  if (isTraining) {
+/**
+ * Reads the seed input, replacing anything that is not a valid 32-bit seed with a new random one.
+ */
+function getSeed() {
+  const seed = Number(seedInput.value);
+  if (seedInput.value === '' || !Number.isInteger(seed) || seed < 0 || seed > 0xFFFFFFFF) {
+    seedInput.value = Random.randomSeed();
+    displayTrainingMessage(`Invalid seed; using ${seedInput.value} instead.`, 'info');
+  }
+  return Number(seedInput.value);
+}
+
+function handleSeedChange() {
+  updateArchitecture(`Network re-initialised with seed ${getSeed()}.`);
+}
+
+function updateArchitecture(message = 'Network architecture updated successfully!') {
+  if (isTrainingActive()) {
     displayTrainingMessage('Cannot update network while training is in progress.', 'error');
     return;
   }
 
   const newHiddenLayers = [];
-  const layerInputs = hiddenLayersContainer.querySelectorAll('input[type="number"]');
+  const layerInputs = hiddenLayersContainer.querySelectorAll('.layer-nodes-input');
 
   if (layerInputs.length === 0) {
     displayTrainingMessage('You must have at least one hidden layer.', 'error');
@@ -338,27 +1682,59 @@ function updateArchitecture() {
     newHiddenLayers.push(parsed);
   }
 
+  const newDropoutRates = [];
+  for (const input of hiddenLayersContainer.querySelectorAll('.layer-dropout-input')) {
+    let rate = parseFloat(input.value);
+    if (!(rate >= 0 && rate <= MAX_DROPOUT)) {
+      rate = Math.max(0, Math.min(MAX_DROPOUT, rate || 0));
+      input.value = rate;
+      displayTrainingMessage(`Dropout was auto-adjusted to be between 0 and ${MAX_DROPOUT}.`, 'info');
+    }
+    newDropoutRates.push(rate);
+  }
+
   const newActivationFunctions = [];
-  const activationSelects = activationFunctionsContainer.querySelectorAll('select');
+  const activationSelects = activationFunctionsContainer.querySelectorAll('.activation-select');
   for (let i = 0; i < layerInputs.length; i++) {
     newActivationFunctions.push(activationSelects[i].value);
   }
   newActivationFunctions.push(activationSelects[activationSelects.length - 1].value);
+  const initializerSelects = Array.from(activationFunctionsContainer.querySelectorAll('.initializer-select'));
 
   const currentDataset = datasets[currentDatasetName];
   const inputCount = currentDataset.network.inputNodes;
   const outputCount = currentDataset.network.outputNodes;
   const options = {
     ...currentDataset.network.options,
-    activationFunctions: newActivationFunctions
+    activationFunctions: newActivationFunctions,
+    loss: lossSelect.value,
+    optimizer: optimizerSelect.value,
+    weightInitializers: initializerSelects.map(readInitializerSelect),
+    biasInitializer: readInitializerSelect(biasInitSelect),
+    dropout: newDropoutRates,
+    learning_rate: nn.learning_rate,
+    schedule: { name: nn.schedule.name, ...nn.schedule.options },
+    l1: nn.l1,
+    l2: nn.l2,
+    seed: getSeed()
   };
 
   nn = new NeuralNetwork(inputCount, newHiddenLayers, outputCount, options);
 
   // Re-instantiate NNvisual with the fixed WIDTH and HEIGHT
   nnv = new NNvisual(WIDTH / 2, HEIGHT / 2, WIDTH, HEIGHT, nn, { drawmode: 'center', weightThreshold: WEIGHT_THRESHOLD });
+  resetTrainingHistory();
 
-  displayTrainingMessage('Network architecture updated successfully!', 'success');
+  // Nodes of a hidden layer whose incoming weights all start equal compute the same thing and
+  // receive the same updates, so the layer never has more than one distinct node
+  const symmetricLayer = nn.weight_initializers
+    .slice(0, -1)
+    .findIndex(setting => SYMMETRIC_INITIALIZERS.includes(parseInitializer(setting).name));
+  if (symmetricLayer >= 0) {
+    displayTrainingMessage(`${message} Layer ${symmetricLayer + 1} starts with identical weights, so its nodes cannot learn different features.`, 'info');
+    return;
+  }
+  displayTrainingMessage(message, 'success');
 }
 
 function mousePressed() {
@@ -372,6 +1748,7 @@ function updateDataPanel(inputs, outputs, targets) {
   inputValElem.textContent = `[${inputs.map(x => x.toFixed(1)).join(', ')}]`;
   predictedOutputValElem.textContent = `[${outputs.map(x => x.toFixed(3)).join(', ')}]`;
   targetOutputValElem.textContent = `[${targets.map(x => x.toFixed(1)).join(', ')}]`;
+  lossValElem.textContent = nn.calculateLoss(outputs, targets).toFixed(5);
 }
 
 function updateNodeInfoPanel(nodeInfo) {
@@ -417,6 +1794,9 @@ function updateNodeInfoPanel(nodeInfo) {
                                 <div class="text-orange-400 font-mono">${nodeInfo.weightedSum || 'N/A'}</div>
                                 <div><span class="text-neural-400">Bias:</span></div>
                                 <div class="text-pink-400 font-mono">${nodeInfo.biasValue || 'N/A'}</div>
+                                ${nodeInfo.droppedFraction !== undefined ? `
+                                <div><span class="text-neural-400">Dropped:</span></div>
+                                <div class="text-red-400">${formatDroppedFraction(nodeInfo.droppedFraction)}</div>` : ''}
                             </div>
                         </div>
 
@@ -469,6 +1849,10 @@ function updateNodeInfoPanel(nodeInfo) {
                             </div>
                         </div>
                     `;
+
+      if (nodeInfo.backprop) {
+        html += renderBackpropDetails(nodeInfo.backprop);
+      }
     }
 
     html += `</div>`;
@@ -507,6 +1891,50 @@ function updateNodeInfoPanel(nodeInfo) {
   }
 }
 
+/**
+ * Describes how often a node was dropped on the last training step: yes/no for one sample, otherwise a percentage.
+ */
+function formatDroppedFraction(fraction) {
+  if (fraction === 0 || fraction === 1) return fraction === 1 ? 'Yes (last step)' : 'No (last step)';
+  return `${Math.round(fraction * 100)}% of last batch`;
+}
+
+/**
+ * Renders a node's delta and the gradient and update of its bias and strongest-updated incoming weights.
+ */
+function renderBackpropDetails(backprop) {
+  const topConnections = [...backprop.connections]
+    .sort((a, b) => Math.abs(b.update) - Math.abs(a.update))
+    .slice(0, 5);
+
+  let html = `
+                        <div class="bg-neural-700/30 rounded-lg p-2">
+                            <h4 class="font-semibold text-red-400 mb-1 text-sm">Backprop Step</h4>
+                            <div class="grid grid-cols-2 gap-1 text-xs mb-1">
+                                <div><span class="text-neural-400">δ (∂L/∂z):</span></div>
+                                <div class="text-neutral-100 font-mono">${backprop.delta.toFixed(5)}</div>
+                                <div><span class="text-neural-400">Bias ∂L/∂b:</span></div>
+                                <div class="text-neutral-100 font-mono">${backprop.biasGradient.toFixed(5)}</div>
+                                <div><span class="text-neural-400">Bias Δb:</span></div>
+                                <div class="text-neutral-100 font-mono">${backprop.biasUpdate.toExponential(2)}</div>
+                            </div>
+                            <div class="border-t border-neural-600 pt-1 space-y-0.5">
+                `;
+  topConnections.forEach(c => {
+    html += `
+                                <div class="flex justify-between text-xs">
+                                    <span class="text-neural-400">In${c.input}: ∂L/∂w ${c.gradient.toFixed(4)}</span>
+                                    <span class="font-mono">${c.before.toFixed(3)} → ${c.after.toFixed(3)}</span>
+                                </div>
+                    `;
+  });
+  html += `
+                            </div>
+                        </div>
+                `;
+  return html;
+}
+
 // Toggle function for weight details
 window.toggleWeightDetails = function () {
   const details = document.getElementById('weight-details');